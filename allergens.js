@@ -0,0 +1,174 @@
+// allergens.js (ESM)
+// Item allergens (contains / may contain) and user allergen profiles
+// (tables: itemAllergen, userAllergen, see sql/011_allergens.sql). Names are
+// the commonAllergen.allergenCommonName values, matched case-insensitively.
+import { pool } from './db.js';
+
+export const ALLERGEN_LEVELS = ['contains', 'may_contain'];
+
+/** Distinct allergen names, alphabetical */
+export async function allergenNames() {
+  const [rows] = await pool.query(
+    `SELECT DISTINCT allergenCommonName AS name
+       FROM commonAllergen
+      WHERE allergenCommonName IS NOT NULL
+        AND allergenCommonName <> ''
+      ORDER BY allergenCommonName ASC`
+  );
+  return rows.map((r) => String(r.name).trim()).filter(Boolean);
+}
+
+/**
+ * Names as typed -> canonical names (unique, order kept).
+ * Throws Error('unknown_allergen') with `.value` for a name not in commonAllergen.
+ */
+export async function canonicalAllergens(names) {
+  const wanted = names.map((n) => String(n ?? '').trim()).filter(Boolean);
+  if (!wanted.length) return [];
+  const known = new Map((await allergenNames()).map((n) => [n.toLowerCase(), n]));
+  const out = [];
+  for (const n of wanted) {
+    const name = known.get(n.toLowerCase());
+    if (!name) throw Object.assign(new Error('unknown_allergen'), { value: n });
+    if (!out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             Items                                   */
+/* ------------------------------------------------------------------ */
+/** itemID -> { contains: [...], mayContain: [...] } (items without any left out) */
+export async function itemAllergens(itemIDs, conn = pool) {
+  const ids = [...new Set(itemIDs.filter(Boolean).map(String))];
+  const map = new Map();
+  if (!ids.length) return map;
+  const [rows] = await conn.query(
+    'SELECT itemID, allergen, level FROM itemAllergen WHERE itemID IN (?) ORDER BY allergen ASC',
+    [ids]
+  );
+  for (const r of rows) {
+    const id = String(r.itemID);
+    const a = map.get(id) ?? { contains: [], mayContain: [] };
+    (r.level === 'contains' ? a.contains : a.mayContain).push(String(r.allergen));
+    map.set(id, a);
+  }
+  return map;
+}
+
+const allergenRows = (itemID, { contains = [], mayContain = [] }, userID, source) => [
+  ...contains.map((a) => [String(itemID), a, 'contains', userID, source]),
+  ...mayContain.filter((a) => !contains.includes(a)).map((a) => [String(itemID), a, 'may_contain', userID, source]),
+];
+
+/**
+ * Replace all of an item's allergens with hand-tagged ones. `contains` wins
+ * when a name is in both lists. Names must already be canonical (canonicalAllergens).
+ * A delete then an insert: pass the caller's transaction as `conn`.
+ */
+export async function setItemAllergens(itemID, sets, userID = null, conn = pool) {
+  const rows = allergenRows(itemID, sets, userID, 'manual');
+  await conn.query('DELETE FROM itemAllergen WHERE itemID = ?', [String(itemID)]);
+  if (rows.length) {
+    await conn.query('INSERT INTO itemAllergen (itemID, allergen, level, updatedBy, source) VALUES ?', [rows]);
+  }
+}
+
+/**
+ * Replace the allergens derived from the item's ingredient list
+ * (ingredients.js). Hand-tagged rows are left as they are.
+ */
+export async function setDerivedAllergens(itemID, sets, userID = null, conn = pool) {
+  const rows = allergenRows(itemID, sets, userID, 'ingredients');
+  await conn.query("DELETE FROM itemAllergen WHERE itemID = ? AND source = 'ingredients'", [String(itemID)]);
+  if (rows.length) {
+    await conn.query(
+      'INSERT IGNORE INTO itemAllergen (itemID, allergen, level, updatedBy, source) VALUES ?',
+      [rows]
+    );
+  }
+}
+
+/**
+ * Fold the allergens of merged-away items into the target (inside the merge
+ * transaction). A 'contains' on either side stays 'contains'.
+ */
+export async function mergeItemAllergens(conn, sourceIDs, targetID) {
+  const [r] = await conn.query(
+    `INSERT INTO itemAllergen (itemID, allergen, level, updatedBy, source)
+     SELECT ?, allergen, level, updatedBy, source FROM itemAllergen WHERE itemID IN (?)
+     ON DUPLICATE KEY UPDATE level = IF(VALUES(level) = 'contains', 'contains', level)`,
+    [String(targetID), sourceIDs]
+  );
+  await conn.query('DELETE FROM itemAllergen WHERE itemID IN (?)', [sourceIDs]);
+  return r.affectedRows;
+}
+
+/* ------------------------------------------------------------------ */
+/*                         User profiles                               */
+/* ------------------------------------------------------------------ */
+export async function userAllergens(userID) {
+  if (!userID) return [];
+  const [rows] = await pool.query(
+    'SELECT allergen FROM userAllergen WHERE userID = ? ORDER BY allergen ASC',
+    [String(userID)]
+  );
+  return rows.map((r) => String(r.allergen));
+}
+
+/** Replace the user's profile with canonical names */
+export async function setUserAllergens(userID, names) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query('DELETE FROM userAllergen WHERE userID = ?', [String(userID)]);
+    if (names.length) {
+      await conn.query(
+        'INSERT INTO userAllergen (userID, allergen) VALUES ?',
+        [names.map((a) => [String(userID), a])]
+      );
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Flags                                    */
+/* ------------------------------------------------------------------ */
+/**
+ * Profile vs an item's allergens -> { contains, mayContain } naming the
+ * profile's allergens found at each level, or null when there's no overlap.
+ */
+export function allergenConflict(profile, allergens) {
+  if (!profile.length || !allergens) return null;
+  const hit = (list) => list.filter((a) => profile.some((p) => p.toLowerCase() === a.toLowerCase()));
+  const contains = hit(allergens.contains);
+  const mayContain = hit(allergens.mayContain);
+  return contains.length || mayContain.length ? { contains, mayContain } : null;
+}
+
+/**
+ * Items ({ id, ... }) -> same items with `allergens` ({ contains, mayContain })
+ * and, for a signed-in user with a profile, `allergenConflict` (see
+ * allergenConflict; null = nothing the user avoids).
+ */
+export async function withAllergenFlags(items, userID = null) {
+  if (!items.length) return items;
+  const [byItem, profile] = await Promise.all([
+    itemAllergens(items.map((it) => it.id)),
+    userAllergens(userID),
+  ]);
+  return items.map((it) => {
+    const allergens = byItem.get(String(it.id)) ?? { contains: [], mayContain: [] };
+    return {
+      ...it,
+      allergens,
+      ...(profile.length && { allergenConflict: allergenConflict(profile, allergens) }),
+    };
+  });
+}
@@ -0,0 +1,317 @@
+// auth.js (ESM)
+// Login sessions for loginTable users (table: userSession, see sql/001_user_session.sql)
+//  - refresh token: opaque random string, sha256 stored in userSession
+//  - access token:  short-lived HS256 JWT signed with SESSION_SIGNING_KEY
+//  - reset token:   opaque, single-use, sha256 stored in passwordResetToken
+//  - roles:         loginTable.role, checked per route with requireRole()
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { loadKeyFromEnv } from './keys.js';
+
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+const ACCESS_TTL_MIN = Number(process.env.ACCESS_TTL_MIN || 15);
+const RESET_TTL_MIN = Number(process.env.RESET_TTL_MIN || 15);
+
+let SESSION_KEY;
+try {
+  SESSION_KEY = loadKeyFromEnv('SESSION_SIGNING_KEY', 32);
+} catch (e) {
+  console.warn('⚠️ Key load warning:', e.message);
+}
+
+/** sha256 hex of a token; raw tokens are never stored */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+
+const b64urlJson = (obj) => Buffer.from(JSON.stringify(obj), 'utf8').toString('base64url');
+
+const hmac = (data) =>
+  crypto.createHmac('sha256', SESSION_KEY).update(data, 'utf8').digest('base64url');
+
+/* ------------------------------------------------------------------ */
+/*                     Sessions (refresh tokens)                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Issue a new opaque session token for a user.
+ * Returns { sessionID, token, expiresAt } — the token is only ever shown once.
+ */
+export async function createSession(userID) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const [result] = await pool.execute(
+    'INSERT INTO userSession (userID, tokenHash, expiresAt) VALUES (?, ?, ?)',
+    [String(userID), hashToken(token), expiresAt]
+  );
+  return { sessionID: Number(result.insertId), token, expiresAt: expiresAt.toISOString() };
+}
+
+/** Resolve a live (not expired, not revoked) session -> { sessionID, userID } | null */
+export async function findSession(token) {
+  if (!token) return null;
+  const [rows] = await pool.execute(
+    `SELECT id, userID
+       FROM userSession
+      WHERE tokenHash = ?
+        AND revokedAt IS NULL
+        AND expiresAt > CURRENT_TIMESTAMP
+      LIMIT 1`,
+    [hashToken(token)]
+  );
+  return rows.length ? { sessionID: Number(rows[0].id), userID: String(rows[0].userID) } : null;
+}
+
+/** Revoke a session by its token; returns true when a live session was revoked */
+export async function revokeSession(token) {
+  if (!token) return false;
+  const [result] = await pool.execute(
+    'UPDATE userSession SET revokedAt = CURRENT_TIMESTAMP WHERE tokenHash = ? AND revokedAt IS NULL',
+    [hashToken(token)]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Revoke a session by id (e.g. the `sid` claim of an access token) */
+export async function revokeSessionById(sessionID) {
+  if (!sessionID) return false;
+  const [result] = await pool.execute(
+    'UPDATE userSession SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND revokedAt IS NULL',
+    [Number(sessionID)]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Revoke every live session of a user (e.g. after a password change) */
+export async function revokeUserSessions(userID) {
+  const [result] = await pool.execute(
+    'UPDATE userSession SET revokedAt = CURRENT_TIMESTAMP WHERE userID = ? AND revokedAt IS NULL',
+    [String(userID)]
+  );
+  return result.affectedRows;
+}
+
+/* ------------------------------------------------------------------ */
+/*                       Password reset tokens                         */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Issue a reset token for a user; any older unused token is invalidated.
+ * Returns { token, expiresAt }.
+ */
+export async function createResetToken(userID) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_TTL_MIN * 60 * 1000);
+
+  await pool.execute(
+    'UPDATE passwordResetToken SET usedAt = CURRENT_TIMESTAMP WHERE userID = ? AND usedAt IS NULL',
+    [String(userID)]
+  );
+  await pool.execute(
+    'INSERT INTO passwordResetToken (userID, tokenHash, expiresAt) VALUES (?, ?, ?)',
+    [String(userID), hashToken(token), expiresAt]
+  );
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Burn a reset token -> userID, or null if unknown/expired/already used.
+ * The conditional UPDATE makes it single-use even under concurrent requests.
+ */
+export async function consumeResetToken(token) {
+  if (!token) return null;
+  const [rows] = await pool.execute(
+    `SELECT id, userID
+       FROM passwordResetToken
+      WHERE tokenHash = ?
+        AND usedAt IS NULL
+        AND expiresAt > CURRENT_TIMESTAMP
+      LIMIT 1`,
+    [hashToken(token)]
+  );
+  if (!rows.length) return null;
+
+  const [result] = await pool.execute(
+    'UPDATE passwordResetToken SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL',
+    [rows[0].id]
+  );
+  return result.affectedRows > 0 ? String(rows[0].userID) : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Access tokens                              */
+/* ------------------------------------------------------------------ */
+
+/** Sign an access token for a session -> { token, expiresAt } */
+export function signAccessToken({ userID, sessionID }) {
+  if (!SESSION_KEY) throw new Error('SESSION_SIGNING_KEY_missing');
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: String(userID),
+    sid: sessionID ?? null,
+    typ: 'access',
+    iat: now,
+    exp: now + ACCESS_TTL_MIN * 60,
+  };
+  const head = b64urlJson({ alg: 'HS256', typ: 'JWT' });
+  const body = b64urlJson(payload);
+  return {
+    token: `${head}.${body}.${hmac(`${head}.${body}`)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  };
+}
+
+/** Verify an access token -> payload, or throws Error('invalid_token'|'token_expired') */
+export function verifyAccessToken(token) {
+  if (!SESSION_KEY) throw new Error('SESSION_SIGNING_KEY_missing');
+  const parts = String(token ?? '').split('.');
+  if (parts.length !== 3) throw new Error('invalid_token');
+
+  const [head, body, sig] = parts;
+  const expected = Buffer.from(hmac(`${head}.${body}`));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('invalid_token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (_) {
+    throw new Error('invalid_token');
+  }
+  if (payload?.typ !== 'access' || !payload.sub) throw new Error('invalid_token');
+  if (!Number.isFinite(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('token_expired');
+  }
+  return payload;
+}
+
+/**
+ * Start a new session and return the token pair handed to the client:
+ * { accessToken, accessExpiresAt, refreshToken, refreshExpiresAt }
+ */
+export async function issueTokens(userID) {
+  if (!SESSION_KEY) throw new Error('SESSION_SIGNING_KEY_missing');
+  const session = await createSession(userID);
+  const access = signAccessToken({ userID, sessionID: session.sessionID });
+  return {
+    accessToken: access.token,
+    accessExpiresAt: access.expiresAt,
+    refreshToken: session.token,
+    refreshExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The old session is revoked (rotation),
+ * so a refresh token works exactly once. Throws Error('invalid_refresh_token').
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const session = await findSession(refreshToken);
+  if (!session) throw new Error('invalid_refresh_token');
+  // Conditional revoke: if two refreshes race, only one wins
+  if (!(await revokeSessionById(session.sessionID))) throw new Error('invalid_refresh_token');
+  return { userID: session.userID, ...(await issueTokens(session.userID)) };
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Middleware                               */
+/* ------------------------------------------------------------------ */
+
+/** "Authorization: Bearer <token>" -> token | null */
+export function bearerToken(req) {
+  const h = String(req.get('authorization') ?? '');
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Sets req.user = { userID, sessionID } when a valid access token is sent.
+ * No header -> continues anonymously; a bad/expired token -> 401 so the
+ * client knows to refresh instead of silently acting as nobody.
+ */
+export function authenticate(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return next();
+  try {
+    const claims = verifyAccessToken(token);
+    req.user = { userID: String(claims.sub), sessionID: claims.sid ?? null };
+    return next();
+  } catch (e) {
+    if (e.message === 'SESSION_SIGNING_KEY_missing') {
+      console.error('authenticate:', e.message);
+      return res.status(500).json({ error: 'server_error' });
+    }
+    return res.status(401).json({ error: e.message });
+  }
+}
+
+/** 401 unless authenticate() attached a user */
+export function requireAuth(req, res, next) {
+  if (!req.user?.userID) return res.status(401).json({ error: 'auth_required' });
+  next();
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Roles                                  */
+/* ------------------------------------------------------------------ */
+/** Lowest to highest; a higher role can do everything a lower one can */
+export const ROLES = ['user', 'contributor', 'admin'];
+
+/** loginTable.role for a user -> 'user' | 'contributor' | 'admin' | null (no account) */
+export async function roleOf(userID) {
+  const [rows] = await pool.execute(
+    'SELECT role FROM loginTable WHERE userID = ? LIMIT 1',
+    [String(userID)]
+  );
+  if (!rows.length) return null;
+  return ROLES.includes(rows[0].role) ? rows[0].role : 'user';
+}
+
+/**
+ * Route guard: requireRole('contributor') admits contributors and admins.
+ * The role is read from loginTable on each request (not from the access token),
+ * so a demotion takes effect immediately. The shared x-api-key never satisfies it.
+ *   401 auth_required | 403 { error: 'forbidden', requiredRole }
+ */
+export function requireRole(role) {
+  const needed = ROLES.indexOf(role);
+  if (needed < 0) throw new Error(`unknown_role_${role}`);
+
+  return async (req, res, next) => {
+    if (!req.user?.userID) return res.status(401).json({ error: 'auth_required' });
+    try {
+      if (req.user.role === undefined) req.user.role = await roleOf(req.user.userID);
+    } catch (e) {
+      console.error('requireRole:', e.message);
+      return res.status(500).json({ error: 'server_error' });
+    }
+    if (ROLES.indexOf(req.user.role) < needed) {
+      return res.status(403).json({ error: 'forbidden', requiredRole: role });
+    }
+    next();
+  };
+}
+
+/**
+ * Transitional gate replacing the shared x-api-key check:
+ * a signed-in user passes; otherwise the legacy key is required when API_KEY is set.
+ * A request let in by the key gets req.apiKey = true (see actorOf).
+ */
+export function apiKeyOrUser(apiKey) {
+  return (req, res, next) => {
+    if (!apiKey || req.user) return next();
+    if (req.get('x-api-key') !== apiKey) return res.status(401).json({ error: 'Unauthorized' });
+    req.apiKey = true;
+    next();
+  };
+}
+
+/**
+ * Who made a request, for audit columns: the userID, 'api_key' for a client
+ * let in by the shared key, or null (no API_KEY configured, nobody signed in).
+ */
+export function actorOf(req) {
+  return req.user?.userID ?? (req.apiKey ? 'api_key' : null);
+}
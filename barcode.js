@@ -0,0 +1,136 @@
+// barcode.js (ESM)
+// GTIN (EAN-8, UPC-A, EAN-13, GTIN-14) validation and the itemBarcode table
+// (see sql/008_item_barcode.sql). Codes are kept as 14-digit GTINs.
+import { pool } from './db.js';
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/* ------------------------------------------------------------------ */
+/*                          Validation                                 */
+/* ------------------------------------------------------------------ */
+/** Mod-10 check digit for the digits before it (weights 3,1,3,... from the right) */
+export function gtinCheckDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const d = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += d * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Scanned / typed code -> GTIN-14 string, or null when it isn't a valid GTIN.
+ * Spaces and dashes are ignored ("5 000112 637922").
+ */
+export function normalizeGtin(raw) {
+  const digits = String(raw ?? '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return null;
+  const body = digits.slice(0, -1);
+  if (gtinCheckDigit(body) !== Number(digits.at(-1))) return null;
+  return digits.padStart(14, '0');
+}
+
+/** GTIN-14 -> shortest usual form (EAN-8, UPC-A or EAN-13 when the padding allows) */
+export function displayGtin(gtin) {
+  const g = String(gtin);
+  if (g.startsWith('000000')) return g.slice(6);
+  if (g.startsWith('00')) return g.slice(2);
+  if (g.startsWith('0')) return g.slice(1);
+  return g;
+}
+
+/**
+ * Barcodes from an item body (`barcode` string and/or `barcodes` array) ->
+ * unique GTIN-14 list. Throws Error('invalid_barcode') with `.value` set.
+ */
+export function barcodesFromBody(b) {
+  const raw = [
+    ...(b?.barcode != null && b.barcode !== '' ? [b.barcode] : []),
+    ...(Array.isArray(b?.barcodes) ? b.barcodes : []),
+  ];
+  const out = [];
+  for (const code of raw) {
+    const gtin = normalizeGtin(code);
+    if (!gtin) throw Object.assign(new Error('invalid_barcode'), { value: String(code) });
+    if (!out.includes(gtin)) out.push(gtin);
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             Storage                                 */
+/* ------------------------------------------------------------------ */
+/**
+ * Link codes to an item (inside the caller's transaction when `conn` is given).
+ * A code already on another item -> Error('barcode_in_use') with `.value` and
+ * `.itemID`, including one claimed by a concurrent request between the check
+ * and the insert (the primary key on gtin catches that).
+ */
+export async function addBarcodes(itemID, gtins, conn = pool) {
+  if (!gtins.length) return;
+  const inUse = (r) =>
+    Object.assign(new Error('barcode_in_use'), { value: displayGtin(r.gtin), itemID: String(r.itemID) });
+  const owners = async (db, codes) =>
+    (await db.query('SELECT gtin, itemID FROM itemBarcode WHERE gtin IN (?)', [codes]))[0];
+  // Sorted, so two requests inserting the same codes take their locks in the same order
+  const insert = (codes) =>
+    conn.query('INSERT INTO itemBarcode (gtin, itemID) VALUES ?', [[...codes].sort().map((g) => [g, String(itemID)])]);
+
+  // Plain read: a locking one would take gap locks on absent codes, and two
+  // requests adding the same new code would then deadlock on the insert
+  const taken = await owners(conn, gtins);
+  const clash = taken.find((r) => String(r.itemID) !== String(itemID));
+  if (clash) throw inUse(clash);
+  const fresh = gtins.filter((g) => !taken.some((r) => String(r.gtin) === g));
+  if (!fresh.length) return;
+  try {
+    await insert(fresh);
+  } catch (e) {
+    if (e.code !== 'ER_DUP_ENTRY') throw e;
+    // The winner has committed by now, but this transaction's snapshot may
+    // predate it: look on a fresh pool connection
+    const now = await owners(pool, fresh);
+    const raced = now.find((r) => String(r.itemID) !== String(itemID));
+    if (raced) throw inUse(raced);
+    const left = fresh.filter((g) => !now.some((r) => String(r.gtin) === g));
+    if (left.length) await insert(left);
+  }
+}
+
+/** itemID -> [display codes] for a set of items */
+export async function barcodesFor(itemIDs) {
+  const map = new Map();
+  if (!itemIDs.length) return map;
+  const [rows] = await pool.query(
+    'SELECT gtin, itemID FROM itemBarcode WHERE itemID IN (?) ORDER BY gtin ASC',
+    [itemIDs.map(String)]
+  );
+  for (const r of rows) {
+    const id = String(r.itemID);
+    map.set(id, [...(map.get(id) ?? []), displayGtin(r.gtin)]);
+  }
+  return map;
+}
+
+/** Item row carrying a (normalized) GTIN-14, or null */
+export async function itemByGtin(gtin) {
+  const [rows] = await pool.query(
+    `SELECT i.id, i.name, i.brand, i.quantity, i.feature, i.productColor, i.picWebsite
+       FROM itemBarcode b
+       JOIN item i ON i.id = b.itemID
+      WHERE b.gtin = ? AND i.deletedAt IS NULL
+      LIMIT 1`,
+    [gtin]
+  );
+  if (!rows.length) return null;
+  const r = rows[0];
+  return {
+    id: String(r.id ?? ''),
+    name: String(r.name ?? ''),
+    brand: String(r.brand ?? ''),
+    quantity: String(r.quantity ?? ''),
+    feature: String(r.feature ?? ''),
+    productColor: String(r.productColor ?? ''),
+    picWebsite: String(r.picWebsite ?? ''),
+  };
+}
@@ -0,0 +1,329 @@
+// categories.js (ESM)
+// Managed category tree (tables: category, categoryMapping, see
+// sql/010_categories.sql). Free-text categories (itemColor4.category,
+// itemInput.category) are mapped onto nodes; items carry a default node that
+// new itemInput rows inherit.
+import { pool } from './db.js';
+import { normalizeText } from './itemMatch.js';
+import { withHistory } from './itemHistory.js';
+
+/** "Fruit & Veg" -> "fruit-and-veg" */
+export const categorySlug = (name) => normalizeText(name).replace(/ /g, '-');
+
+/** Free-text value as stored by PATCH /api/item-input/category (trimmed, lower-cased) */
+export const freeTextKey = (text) => String(text ?? '').trim().toLowerCase();
+
+const toNode = (r) => ({
+  id: Number(r.id),
+  parentID: r.parentID == null ? null : Number(r.parentID),
+  name: String(r.name ?? ''),
+  slug: String(r.slug ?? ''),
+});
+
+async function allNodes(conn = pool) {
+  const [rows] = await conn.query('SELECT id, parentID, name, slug FROM category ORDER BY name ASC');
+  return rows.map(toNode);
+}
+
+/** Names from the root down to `id` (["Dairy", "Milk"]); [] when unknown */
+function pathOf(byId, id) {
+  const path = [];
+  const seen = new Set();
+  for (let n = byId.get(id); n && !seen.has(n.id); n = byId.get(n.parentID)) {
+    seen.add(n.id);
+    path.unshift(n.name);
+  }
+  return path;
+}
+
+/* ------------------------------------------------------------------ */
+/*                              Tree                                   */
+/* ------------------------------------------------------------------ */
+/** Whole tree -> [{ id, parentID, name, slug, path, children: [...] }], roots first */
+export async function categoryTree() {
+  const nodes = await allNodes();
+  const byId = new Map(nodes.map((n) => [n.id, { ...n, children: [] }]));
+  const roots = [];
+  for (const n of byId.values()) {
+    n.path = pathOf(byId, n.id);
+    const parent = n.parentID != null ? byId.get(n.parentID) : null;
+    (parent ? parent.children : roots).push(n);
+  }
+  return roots;
+}
+
+/** One node with its path and direct children, or null */
+export async function categoryById(id) {
+  const nodes = await allNodes();
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const node = byId.get(Number(id));
+  if (!node) return null;
+  return {
+    ...node,
+    path: pathOf(byId, node.id),
+    children: nodes.filter((n) => n.parentID === node.id),
+  };
+}
+
+/** id -> "Dairy > Milk" for a set of ids (unknown ids left out) */
+export async function categoryPaths(ids) {
+  const wanted = [...new Set(ids.filter((id) => id != null).map(Number))];
+  if (!wanted.length) return new Map();
+  const byId = new Map((await allNodes()).map((n) => [n.id, n]));
+  return new Map(wanted.filter((id) => byId.has(id)).map((id) => [id, pathOf(byId, id).join(' > ')]));
+}
+
+/**
+ * Body categoryID -> null (none) or a positive integer; anything else throws
+ * Error('category_not_found') with `.categoryID`.
+ */
+export function categoryIdFrom(raw) {
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw Object.assign(new Error('category_not_found'), { categoryID: raw });
+  return n;
+}
+
+/** Throws Error('category_not_found') { categoryID } unless every non-null id exists */
+export async function assertCategoryIds(ids, conn = pool) {
+  const wanted = [...new Set(ids.filter((id) => id != null))];
+  if (!wanted.length) return;
+  const [rows] = await conn.query('SELECT id FROM category WHERE id IN (?)', [wanted]);
+  const found = new Set(rows.map((r) => Number(r.id)));
+  const missing = wanted.find((id) => !found.has(id));
+  if (missing != null) throw Object.assign(new Error('category_not_found'), { categoryID: missing });
+}
+
+/** Throws duplicate_category when a sibling already has this slug */
+function assertUniqueSibling(nodes, { id = null, parentID, slug }) {
+  const clash = nodes.find((n) => n.parentID === parentID && n.slug === slug && n.id !== id);
+  if (clash) throw Object.assign(new Error('duplicate_category'), { categoryID: clash.id });
+}
+
+/**
+ * Run a write that may hit uq_category_sibling_slug (sql/014): a sibling
+ * created or renamed concurrently, after assertUniqueSibling read the tree.
+ * ER_DUP_ENTRY -> duplicate_category { categoryID } of that sibling.
+ */
+async function uniqueSiblingWrite({ parentID, slug }, write) {
+  try {
+    return await write();
+  } catch (e) {
+    if (e.code !== 'ER_DUP_ENTRY') throw e;
+    const [rows] = await pool.query(
+      'SELECT id FROM category WHERE parentID <=> ? AND slug = ? LIMIT 1',
+      [parentID, slug]
+    );
+    throw Object.assign(new Error('duplicate_category'), { categoryID: rows[0] ? Number(rows[0].id) : null });
+  }
+}
+
+/**
+ * Add a node. Errors: parent_not_found, duplicate_category { categoryID }.
+ * -> the new node (as categoryById)
+ */
+export async function createCategory({ name, parentID = null }) {
+  const nodes = await allNodes();
+  const parent = parentID == null ? null : Number(parentID);
+  if (parent != null && !nodes.some((n) => n.id === parent)) throw new Error('parent_not_found');
+  const slug = categorySlug(name);
+  assertUniqueSibling(nodes, { parentID: parent, slug });
+
+  const [r] = await uniqueSiblingWrite({ parentID: parent, slug }, () => pool.execute(
+    'INSERT INTO category (parentID, name, slug) VALUES (?, ?, ?)',
+    [parent, String(name).trim(), slug]
+  ));
+  return categoryById(r.insertId);
+}
+
+/**
+ * Rename and/or move a node (parentID null = make it a root).
+ * Errors: not_found, parent_not_found, category_cycle, duplicate_category.
+ */
+export async function updateCategory(id, { name, parentID }) {
+  const nodes = await allNodes();
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const node = byId.get(Number(id));
+  if (!node) throw new Error('not_found');
+
+  const next = { ...node };
+  if (name !== undefined) { next.name = String(name).trim(); next.slug = categorySlug(name); }
+  if (parentID !== undefined) {
+    next.parentID = parentID == null ? null : Number(parentID);
+    if (next.parentID != null && !byId.has(next.parentID)) throw new Error('parent_not_found');
+    // The new parent can't be the node itself or anything under it
+    for (let p = next.parentID; p != null; p = byId.get(p)?.parentID ?? null) {
+      if (p === node.id) throw new Error('category_cycle');
+    }
+  }
+  assertUniqueSibling(nodes, next);
+
+  await uniqueSiblingWrite(next, () => pool.execute(
+    'UPDATE category SET name = ?, slug = ?, parentID = ?, updatedAt = NOW() WHERE id = ?',
+    [next.name, next.slug, next.parentID, node.id]
+  ));
+  return categoryById(node.id);
+}
+
+/**
+ * Remove a leaf node. Items, itemInput rows and mappings pointing at it move
+ * up to its parent (or lose their category when it was a root); the items
+ * record that as an update by `userID`. Errors: not_found, category_has_children.
+ */
+export async function deleteCategory(id, userID = null) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query('SELECT id, parentID FROM category WHERE id = ? FOR UPDATE', [Number(id)]);
+    if (!rows.length) throw new Error('not_found');
+    const [kids] = await conn.query('SELECT COUNT(*) AS n FROM category WHERE parentID = ?', [Number(id)]);
+    if (Number(kids[0].n) > 0) throw new Error('category_has_children');
+
+    const parentID = rows[0].parentID == null ? null : Number(rows[0].parentID);
+    const [items] = await conn.query('SELECT id FROM item WHERE categoryID = ? FOR UPDATE', [Number(id)]);
+    await withHistory(conn, items.map((r) => String(r.id)), 'update', userID, () =>
+      conn.query('UPDATE item SET categoryID = ? WHERE categoryID = ?', [parentID, Number(id)]));
+    await conn.query('UPDATE itemInput SET categoryID = ? WHERE categoryID = ?', [parentID, Number(id)]);
+    if (parentID == null) {
+      await conn.query('DELETE FROM categoryMapping WHERE categoryID = ?', [Number(id)]);
+    } else {
+      await conn.query('UPDATE categoryMapping SET categoryID = ? WHERE categoryID = ?', [parentID, Number(id)]);
+    }
+    await conn.query('DELETE FROM category WHERE id = ?', [Number(id)]);
+    await conn.commit();
+    return { deleted: Number(id), movedTo: parentID };
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*                    Free-text mapping / lookup                       */
+/* ------------------------------------------------------------------ */
+/**
+ * Map free-text values onto a node (categoryID null removes the mapping) and
+ * backfill itemInput.categoryID for rows carrying those values.
+ * Errors: category_not_found. -> { mapped, backfilled }
+ */
+export async function setMappings(values, categoryID, userID = null) {
+  const keys = [...new Set(values.map(freeTextKey).filter(Boolean))];
+  if (!keys.length) return { mapped: 0, backfilled: 0 };
+  const target = categoryID == null ? null : Number(categoryID);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    if (target != null) {
+      const [found] = await conn.query('SELECT id FROM category WHERE id = ?', [target]);
+      if (!found.length) throw new Error('category_not_found');
+      await conn.query(
+        `INSERT INTO categoryMapping (freeText, categoryID, mappedBy)
+         VALUES ?
+         ON DUPLICATE KEY UPDATE categoryID = VALUES(categoryID), mappedBy = VALUES(mappedBy), mappedAt = NOW()`,
+        [keys.map((k) => [k.slice(0, 255), target, userID])]
+      );
+    } else {
+      await conn.query('DELETE FROM categoryMapping WHERE freeText IN (?)', [keys]);
+    }
+    const [r] = await conn.query(
+      'UPDATE itemInput SET categoryID = ? WHERE LOWER(TRIM(category)) IN (?)',
+      [target, keys]
+    );
+    await conn.commit();
+    return { mapped: keys.length, backfilled: r.affectedRows };
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Current mappings plus the free-text values still unmapped, with how often
+ * each appears -> { mappings: [{ freeText, categoryID, path }],
+ *                   unmapped: [{ freeText, itemColor4, itemInput }] }
+ */
+export async function mappingReport() {
+  const [maps] = await pool.query('SELECT freeText, categoryID FROM categoryMapping ORDER BY freeText ASC');
+  const paths = await categoryPaths(maps.map((m) => m.categoryID));
+  const mapped = new Set(maps.map((m) => m.freeText));
+
+  const counts = new Map();
+  for (const table of ['itemColor4', 'itemInput']) {
+    const [rows] = await pool.query(
+      `SELECT LOWER(TRIM(category)) AS freeText, COUNT(*) AS n
+         FROM ${table}
+        WHERE category IS NOT NULL AND TRIM(category) <> ''
+        GROUP BY LOWER(TRIM(category))`
+    );
+    for (const r of rows) {
+      if (mapped.has(r.freeText)) continue;
+      const c = counts.get(r.freeText) ?? { freeText: r.freeText, itemColor4: 0, itemInput: 0 };
+      c[table] = Number(r.n);
+      counts.set(r.freeText, c);
+    }
+  }
+
+  return {
+    mappings: maps.map((m) => ({
+      freeText: m.freeText,
+      categoryID: Number(m.categoryID),
+      path: paths.get(Number(m.categoryID)) ?? null,
+    })),
+    unmapped: [...counts.values()].sort((a, b) =>
+      b.itemColor4 + b.itemInput - (a.itemColor4 + a.itemInput) || a.freeText.localeCompare(b.freeText)
+    ),
+  };
+}
+
+/**
+ * Node for a free-text category: its mapping, else the one node whose slug
+ * matches ("milk" -> Dairy > Milk). null when unknown or ambiguous.
+ */
+export async function categoryForText(text, conn = pool) {
+  return (await categoriesForTexts([text], conn)).get(freeTextKey(text)) ?? null;
+}
+
+/** categoryForText for many texts in two queries -> Map(freeTextKey -> id | null) */
+export async function categoriesForTexts(texts, conn = pool) {
+  const keys = [...new Set(texts.map(freeTextKey).filter(Boolean))];
+  const out = new Map(keys.map((k) => [k, null]));
+  if (!keys.length) return out;
+  const [maps] = await conn.query('SELECT freeText, categoryID FROM categoryMapping WHERE freeText IN (?)', [keys]);
+  for (const m of maps) out.set(freeTextKey(m.freeText), Number(m.categoryID));
+
+  const rest = keys.filter((k) => out.get(k) == null);
+  const slugs = [...new Set(rest.map(categorySlug).filter(Boolean))];
+  if (!slugs.length) return out;
+  const [nodes] = await conn.query('SELECT id, slug FROM category WHERE slug IN (?)', [slugs]);
+  const bySlug = new Map();
+  for (const n of nodes) bySlug.set(n.slug, [...(bySlug.get(n.slug) ?? []), Number(n.id)]);
+  for (const k of rest) {
+    const ids = bySlug.get(categorySlug(k)) ?? [];
+    if (ids.length === 1) out.set(k, ids[0]);
+  }
+  return out;
+}
+
+/**
+ * Category a new itemInput row should get: the typed text (resolved to a
+ * node when possible), else the item's default -> { category, categoryID }.
+ */
+export async function inputCategory(itemID, text) {
+  const typed = freeTextKey(text);
+  if (typed) return { category: typed, categoryID: await categoryForText(typed) };
+  const [rows] = await pool.query(
+    `SELECT c.id, c.name
+       FROM item i
+       JOIN category c ON c.id = i.categoryID
+      WHERE i.id = ?
+      LIMIT 1`,
+    [String(itemID)]
+  );
+  if (!rows.length) return { category: null, categoryID: null };
+  return { category: freeTextKey(rows[0].name), categoryID: Number(rows[0].id) };
+}
@@ -0,0 +1,207 @@
+// categorySuggest.js (ESM)
+// Category suggestions for itemInput rows (POST /api/item-input/category/suggest).
+// Each source votes for categories with a strength; the votes for one
+// category are combined as independent evidence (1 - Π(1 - s)), so two
+// agreeing sources beat either alone and no single weak source reaches 1.
+// Free texts that resolve to the same node ("semi skimmed" and "milk" both
+// mapped to Dairy > Milk) are one category and add up; texts without a node
+// stand for themselves.
+import { pool } from './db.js';
+import { freeTextKey, categoriesForTexts } from './categories.js';
+
+// Confidence needed before ?apply writes a suggestion to the row
+export const AUTO_APPLY_THRESHOLD = Number(process.env.CATEGORY_AUTO_THRESHOLD ?? 0.8);
+
+// Strength of each source at full agreement (scaled by its share of votes)
+const STRENGTH = {
+  own: 0.9,       // the user's earlier rows for the same itemID
+  others: 0.7,    // other users' majority for the same itemID
+  item: 0.6,      // the item's default category (categories.js)
+  catalog: 0.5,   // itemColor4.category for the item name
+  brand: 0.3,     // the user's rows of the same brand
+};
+// Other users' rows needed before their majority counts in full
+const OTHERS_SATURATION = 3;
+const MAX_SUGGESTIONS = 5;
+
+const lower = (v) => String(v ?? '').trim().toLowerCase();
+
+/** Vote key: the node a text resolves to, else the text itself */
+const groupOf = (text, nodeOf) => (nodeOf.get(text) != null ? `#${nodeOf.get(text)}` : `=${text}`);
+
+/**
+ * [{ category, n }] -> { total, shares: Map(group -> share of n),
+ * texts: Map(text -> share of n) }. Negative n takes rows back out.
+ */
+function shares(rows, nodeOf) {
+  const byText = new Map();
+  for (const r of rows) {
+    const k = freeTextKey(r.category);
+    if (k) byText.set(k, (byText.get(k) ?? 0) + Number(r.n));
+  }
+  for (const [k, n] of byText) if (n <= 0) byText.delete(k);
+  const total = [...byText.values()].reduce((a, b) => a + b, 0);
+  const groups = new Map();
+  for (const [k, n] of byText) {
+    const g = groupOf(k, nodeOf);
+    groups.set(g, (groups.get(g) ?? 0) + n / total);
+  }
+  return { total, shares: groups, texts: new Map([...byText].map(([k, n]) => [k, n / total])) };
+}
+
+/** Map(key -> [{ category, n }]) from rows carrying `key` */
+function byKey(rows) {
+  const map = new Map();
+  for (const r of rows) {
+    const k = String(r.k);
+    map.set(k, [...(map.get(k) ?? []), { category: r.category, n: Number(r.n) }]);
+  }
+  return map;
+}
+
+/**
+ * Everything the sources need for a batch of inputs, one query per source
+ * -> { own, others, catalog, brand: Map(key -> [{ category, n }]),
+ *      item: Map(itemID -> { categoryID, name }) }
+ */
+async function loadSources(inputs, userID) {
+  const itemIDs = [...new Set(inputs.map((i) => i.itemID).filter(Boolean).map(String))];
+  const names = [...new Set(inputs.map((i) => lower(i.itemName)).filter(Boolean))];
+  const brands = [...new Set(inputs.map((i) => lower(i.brand)).filter(Boolean))];
+  const src = { own: new Map(), others: new Map(), item: new Map(), catalog: new Map(), brand: new Map() };
+  const hasCategory = "category IS NOT NULL AND category <> ''";
+
+  if (itemIDs.length) {
+    const [own] = await pool.query(
+      `SELECT itemID AS k, category, COUNT(*) AS n
+         FROM itemInput
+        WHERE userID = ? AND itemID IN (?) AND ${hasCategory}
+        GROUP BY itemID, category`,
+      [userID, itemIDs]
+    );
+    src.own = byKey(own);
+
+    const [others] = await pool.query(
+      `SELECT itemID AS k, category, COUNT(*) AS n
+         FROM itemInput
+        WHERE userID <> ? AND itemID IN (?) AND ${hasCategory}
+        GROUP BY itemID, category`,
+      [userID, itemIDs]
+    );
+    src.others = byKey(others);
+
+    const [defs] = await pool.query(
+      `SELECT i.id, c.id AS categoryID, c.name
+         FROM item i
+         JOIN category c ON c.id = i.categoryID
+        WHERE i.id IN (?)`,
+      [itemIDs]
+    );
+    src.item = new Map(defs.map((d) => [
+      String(d.id), { categoryID: Number(d.categoryID), name: freeTextKey(d.name) },
+    ]));
+  }
+
+  if (names.length) {
+    const [cat] = await pool.query(
+      `SELECT LOWER(TRIM(item)) AS k, category, COUNT(*) AS n
+         FROM itemColor4
+        WHERE LOWER(TRIM(item)) IN (?) AND ${hasCategory}
+        GROUP BY k, category`,
+      [names]
+    );
+    src.catalog = byKey(cat);
+  }
+
+  if (brands.length) {
+    const [own] = await pool.query(
+      `SELECT LOWER(TRIM(brand)) AS k, category, COUNT(*) AS n
+         FROM itemInput
+        WHERE userID = ? AND LOWER(TRIM(brand)) IN (?) AND ${hasCategory}
+        GROUP BY k, category`,
+      [userID, brands]
+    );
+    src.brand = byKey(own);
+  }
+  return src;
+}
+
+/**
+ * One input's suggestions from loaded sources and resolved texts
+ * -> [{ category, categoryID, confidence, sources }]
+ */
+function rank(input, src, nodeOf) {
+  // group -> { sources: { source: strength }, labels: Map(text -> weight), categoryID }
+  const byGroup = new Map();
+  const vote = (source, group, strength, texts, categoryID) => {
+    if (strength <= 0) return;
+    const g = byGroup.get(group) ?? { sources: {}, labels: new Map(), categoryID };
+    g.sources[source] = Math.round(strength * 1000) / 1000;
+    for (const [text, w] of texts) g.labels.set(text, (g.labels.get(text) ?? 0) + w);
+    byGroup.set(group, g);
+  };
+  // Every text's share of a source, weighted, for picking the group's label
+  const votesFrom = (source, rows, weight, keep = () => true) => {
+    const s = shares(rows, nodeOf);
+    for (const [group, sh] of s.shares) {
+      if (!keep(sh)) continue;
+      const texts = [...s.texts]
+        .filter(([t]) => groupOf(t, nodeOf) === group)
+        .map(([t, tsh]) => [t, weight * tsh]);
+      vote(source, group, weight * sh, texts, group.startsWith('#') ? Number(group.slice(1)) : null);
+    }
+  };
+  // The row being categorized doesn't count as its own history
+  const minusSelf = (rows) => (
+    input.excludeCategory ? [...rows, { category: input.excludeCategory, n: -1 }] : rows
+  );
+
+  if (input.itemID) {
+    const id = String(input.itemID);
+    votesFrom('own', minusSelf(src.own.get(id) ?? []), STRENGTH.own);
+    const others = src.others.get(id) ?? [];
+    const total = others.reduce((a, r) => a + r.n, 0);
+    // Only a strict majority speaks for the other users
+    votesFrom('others', others, STRENGTH.others * Math.min(1, total / OTHERS_SATURATION), (sh) => sh > 0.5);
+    const def = src.item.get(id);
+    if (def) vote('item', `#${def.categoryID}`, STRENGTH.item, [[def.name, STRENGTH.item]], def.categoryID);
+  }
+  if (input.itemName) votesFrom('catalog', src.catalog.get(lower(input.itemName)) ?? [], STRENGTH.catalog);
+  if (input.brand) votesFrom('brand', minusSelf(src.brand.get(lower(input.brand)) ?? []), STRENGTH.brand);
+
+  return [...byGroup.values()]
+    .map((g) => ({
+      category: [...g.labels].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0],
+      categoryID: g.categoryID,
+      confidence: Math.round((1 - Object.values(g.sources).reduce((p, s) => p * (1 - s), 1)) * 1000) / 1000,
+      sources: g.sources,
+    }))
+    .sort((a, b) => b.confidence - a.confidence || a.category.localeCompare(b.category))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * suggestCategoriesFor([{ itemID?, itemName?, brand?, excludeCategory? }], userID)
+ *  -> one list per input: [{ category, categoryID, confidence,
+ *     sources: { own?, others?, item?, catalog?, brand? } }]
+ * Best first, at most MAX_SUGGESTIONS each; `category` is the text that
+ * carried most of the vote. excludeCategory is the category the row being
+ * categorized already has: that row is left out of the user's own history.
+ * A fixed number of queries however many inputs there are.
+ */
+export async function suggestCategoriesFor(inputs, userID) {
+  if (!inputs.length) return [];
+  const src = await loadSources(inputs, String(userID));
+  const texts = [];
+  for (const map of [src.own, src.others, src.catalog, src.brand]) {
+    for (const rows of map.values()) texts.push(...rows.map((r) => r.category));
+  }
+  texts.push(...inputs.map((i) => i.excludeCategory).filter(Boolean));
+  const nodeOf = await categoriesForTexts(texts);
+  return inputs.map((input) => rank(input, src, nodeOf));
+}
+
+/** suggestCategoriesFor for one input ({ ..., userID }) */
+export async function suggestCategories({ userID, ...input }) {
+  return (await suggestCategoriesFor([input], userID))[0];
+}
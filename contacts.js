@@ -0,0 +1,125 @@
+// contacts.js (ESM)
+// Encrypted-at-rest email/phone on loginTable (see sql/004_contact_cipher.sql).
+// Lookups keep using the HMAC tokens (email_enc / phone_number_enc); these
+// ciphers exist only so a user can be shown (or sent to) their own contact details.
+import { pool } from './db.js';
+import { encryptField, decryptField, currentDataKeyVersion } from './keys.js';
+
+const REENCRYPT_BATCH = 100;
+
+// Ciphertexts are bound to their owner + column
+const aadFor = (userID, field) => `${userID}|${field}`;
+
+/**
+ * { email, phoneE164 } -> loginTable columns, encrypted with the current key.
+ * Missing values encrypt to null.
+ */
+export function encryptContact(userID, { email, phoneE164 }) {
+  return {
+    email_cipher: encryptField(email ?? null, aadFor(userID, 'email')),
+    phone_number_cipher: encryptField(phoneE164 ?? null, aadFor(userID, 'phone')),
+    contact_key_version: currentDataKeyVersion(),
+  };
+}
+
+/** loginTable row (userID, email_cipher, phone_number_cipher) -> { email, phoneE164 } */
+export function decryptContact(row) {
+  return {
+    email: decryptField(row.email_cipher, aadFor(row.userID, 'email')),
+    phoneE164: decryptField(row.phone_number_cipher, aadFor(row.userID, 'phone')),
+  };
+}
+
+/**
+ * Merge `patch` ({ email?, phoneE164? }) into a user's stored contact and
+ * rewrite both ciphers with the current key (inside the caller's transaction
+ * when `conn` is given). Returns false if the user is gone.
+ */
+export async function saveContact(userID, patch, conn = pool) {
+  const [rows] = await conn.execute(
+    'SELECT userID, email_cipher, phone_number_cipher FROM loginTable WHERE userID = ? LIMIT 1',
+    [String(userID)]
+  );
+  if (!rows.length) return false;
+
+  const merged = { ...decryptContact(rows[0]), ...patch };
+  const cols = encryptContact(rows[0].userID, merged);
+  await conn.execute(
+    `UPDATE loginTable
+        SET email_cipher = ?, phone_number_cipher = ?, contact_key_version = ?
+      WHERE userID = ?`,
+    [cols.email_cipher, cols.phone_number_cipher, cols.contact_key_version, rows[0].userID]
+  );
+  return true;
+}
+
+/**
+ * Re-encrypt up to `limit` rows written with an older key version, in userID
+ * order starting after `after` (null = from the start).
+ * Returns { scanned, updated, failed, lastUserID }; pass lastUserID back as
+ * `after` for the next batch, so rows that fail to decrypt (e.g. their key
+ * version is no longer configured, logged and left untouched) or that changed
+ * underneath us aren't picked again. scanned 0 = the pass is complete.
+ */
+export async function reencryptStaleContacts({ after = null, limit = REENCRYPT_BATCH } = {}) {
+  const current = currentDataKeyVersion();
+  const [rows] = await pool.query(
+    `SELECT userID, email_cipher, phone_number_cipher
+       FROM loginTable
+      WHERE (email_cipher IS NOT NULL OR phone_number_cipher IS NOT NULL)
+        AND (contact_key_version IS NULL OR contact_key_version <> ?)
+        ${after != null ? 'AND userID > ?' : ''}
+      ORDER BY userID ASC
+      LIMIT ?`,
+    [current, ...(after != null ? [after] : []), limit]
+  );
+
+  let updated = 0, failed = 0;
+  for (const r of rows) {
+    try {
+      const cols = encryptContact(r.userID, decryptContact(r));
+      // Compare-and-set: skip rows changed since we read them
+      const [result] = await pool.execute(
+        `UPDATE loginTable
+            SET email_cipher = ?, phone_number_cipher = ?, contact_key_version = ?
+          WHERE userID = ?
+            AND email_cipher <=> ?
+            AND phone_number_cipher <=> ?`,
+        [
+          cols.email_cipher, cols.phone_number_cipher, cols.contact_key_version,
+          r.userID, r.email_cipher, r.phone_number_cipher,
+        ]
+      );
+      updated += result.affectedRows;
+    } catch (e) {
+      failed++;
+      console.error(`reencrypt contact failed for userID=${r.userID}:`, e.message);
+    }
+  }
+  return { scanned: rows.length, updated, failed, lastUserID: rows.length ? rows[rows.length - 1].userID : after };
+}
+
+/**
+ * Background key rotation: every `intervalMin` minutes move one batch of rows
+ * onto DATA_KEY_CURRENT, walking the table by userID and starting over once a
+ * pass is complete. Returns the timer (unref'd, so it never holds the process open).
+ */
+export function startContactReencryptJob(intervalMin) {
+  let running = false;
+  let after = null;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await reencryptStaleContacts({ after });
+      after = r.scanned ? r.lastUserID : null;
+      if (r.scanned) console.log('[contacts] re-encrypted', r);
+    } catch (e) {
+      console.error('[contacts] re-encrypt job error:', e);
+    } finally {
+      running = false;
+    }
+  }, Math.max(1, Number(intervalMin)) * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -2,13 +2,48 @@
 // index.js (ESM server)
 import express from 'express';
 import cors from 'cors';
-import bcrypt from 'bcryptjs';
 import { pool, pingDB } from './db.js';
+import { authenticate, requireAuth, requireRole, apiKeyOrUser } from './auth.js';
+import { rateLimit, byIp, byUserOrIp } from './rateLimit.js';
+import { sameQty } from './quantity.js';
+import { searchItems, SEARCH_FIELDS } from './itemSearch.js';
+import { resolveByItem } from './itemResolve.js';
+import { aliasMatches, withAliases } from './itemAlias.js';
+import { normalizeGtin, itemByGtin } from './barcode.js';
+import { redirectsFor } from './itemRedirect.js';
+import { inputCategory } from './categories.js';
+import { withAllergenFlags } from './allergens.js';
+import {
+  UNIT_PRICE_SORT_MAX, unitPriceOptions, unitPriceSortTooBroad, compareUnitPrice, withPriceUnitPrices,
+  withItemUnitPrices,
+} from './unitPrice.js';
 
 const app = express();
+// Railway puts one proxy in front of us; needed for a real req.ip (rate limits)
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 app.use(cors());
 app.use(express.json({ limit: '512kb' }));
 
+// Login/refresh/logout read their own tokens, so they sit in front of authenticate()
+// POST /api/login, POST /api/token/refresh, POST /api/logout -> see routes/auth.mjs
+import authRouter from './routes/auth.mjs';
+app.use('/api', authRouter);
+
+// Bearer access token -> req.user = { userID, sessionID } (anonymous if no header)
+app.use(authenticate);
+
+// Signed-in user's own account: profile, contact, export, deletion
+import accountRouter from './routes/account.mjs';
+app.use('/api/account', accountRouter);
+
+// Admin-only user management (roles)
+import adminRouter from './routes/admin.mjs';
+app.use('/api/admin', adminRouter);
+
+// Phone ownership via one-time codes: /phone/verify/start, /phone/verify/confirm
+import phoneVerifyRouter from './routes/phone-verify.mjs';
+app.use('/phone/verify', phoneVerifyRouter);
+
 // app or top-level router file (ESM)
 import phoneFullRouter from './routes/phone-full.js';
 app.use('/phone', phoneFullRouter);
@@ -36,14 +71,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// Optional API key gate (set API_KEY on Railway)
+// Optional API key gate (set API_KEY on Railway); signed-in users don't need the key
 const API_KEY = process.env.API_KEY || null;
-app.use((req, res, next) => {
-  if (!API_KEY) return next();
-  const key = req.get('x-api-key');
-  if (key !== API_KEY) return res.status(401).json({ error: 'Unauthorized' });
-  next();
-});
+app.use(apiKeyOrUser(API_KEY));
 
 // Log DB vars (helps when debugging on Railway)
 console.log('DB VARS SNAPSHOT', {
@@ -77,57 +107,9 @@ function splitFeaturesCSV(s) {
     .filter(Boolean);
 }
 
-
-// Helper: canonicalize any supported quantity shape to { value, unit } in base units
-function toCanon(q) {
-  if (!q) return null;
-  if (typeof q === 'string') return canonQty(q);
-
-  // Object like { value, unit } from Flutter
-  if (typeof q === 'object' && q.value != null && q.unit) {
-    // Use canonQty on a synthetic string to reuse unit/alias logic
-    return canonQty(String(q.value) + String(q.unit));
-  }
-  return null;
-}
-
+// canonQty / toCanon / sameQty live in quantity.js
 function uniq(arr) { return Array.from(new Set(arr)); }
 
-// canonicalize quantity to { value, unit } with base units: ml, g, pcs, pack
-function canonQty(raw) {
-  if (!raw) return null;
-  const t = String(raw).trim().toLowerCase().replace(/\s+/g, '');
-  const m = t.match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
-  if (!m) return null;
-  let v = parseFloat(m[1]);
-  let u = m[2];
-
-  // Normalize common plurals/aliases
-  if (u === 'l' || u === 'lt' || u === 'liter' || u === 'litre') { v *= 1000; u = 'ml'; }
-  else if (u === 'kg') { v *= 1000; u = 'g'; }
-  else if (u === 'pc' || u === 'piece' || u === 'pieces') { u = 'pcs'; }
-  else if (u === 'packs') { u = 'pack'; }
-
-  if (!['ml','g','pcs','pack'].includes(u)) return null;
-  return { value: v, unit: u };
-}
-
-
-// Replace sameQty with this version:
-function sameQty(userQ, dbQ) {
-  const u = toCanon(userQ);
-  const d = toCanon(dbQ);
-  if (!u || !d) return true;  // if either missing, do not filter out
-  if (u.unit !== d.unit) return false;
-
-  if (u.unit === 'pcs' || u.unit === 'pack') {
-    return Math.abs(u.value - d.value) < 0.5; // integer-ish tolerance
-  }
-  // ml/g: allow 2% tolerance, min absolute 1 unit
-  const maxV = Math.max(u.value, d.value);
-  return Math.abs(u.value - d.value) <= Math.max(1, 0.02 * maxV);
-}
-
 
 // -------------------------- Root & health -----------------------------------
 app.get('/', (_req, res) => res.send('API is running'));
@@ -141,15 +123,38 @@ app.get('/health', async (_req, res) => {
 });
 
 
+// Record which candidate the user picked for a resolve input (see itemAlias.js)
+import itemAliasesRouter from './routes/itemAliases.mjs';
+app.use('/api/items/aliases', itemAliasesRouter);
+
 // ----------------------- Item resolve API (ESM) -----------------------------
 // POST /api/items/resolve
-// body: { brand, item, quantity?: {value, unit}|string }
+// body: { brand, item, quantity?: {value, unit}|string, barcode? }
+// BARCODE: a known GTIN resolves directly (brand/item optional then).
+// ALIASES: a choice recorded via POST /api/items/aliases for the same input wins.
+// ALLERGENS: candidates carry `allergens` and, for a signed-in user with an
+// allergen profile, `allergenConflict` (allergens.js).
 // MATCHING: brand + item (case-insensitive) + quantity (with unit normalization).
 // Feature is NOT used to filter. We still return each candidate's feature as info.
 app.post('/api/items/resolve', async (req, res) => {
   try {
     const brand = String(req.body?.brand ?? '').trim();
     const item  = String(req.body?.item  ?? '').trim();
+
+    // A scanned barcode beats any text match
+    if (req.body?.barcode != null && req.body.barcode !== '') {
+      const gtin = normalizeGtin(req.body.barcode);
+      if (!gtin) return res.status(400).json({ error: 'invalid_barcode' });
+      const hit = await itemByGtin(gtin);
+      if (hit || !brand || !item) {
+        return res.json({
+          exactId: hit?.id ?? null,
+          matchedBy: hit ? 'barcode' : null,
+          suggestedFeatures: [],
+          candidates: await withAllergenFlags(hit ? [hit] : [], req.user?.userID),
+        });
+      }
+    }
     if (!brand || !item) return res.status(400).json({ error: 'brand_and_item_required' });
 
     // Quantity can be string like "545ml" or object { value, unit }
@@ -161,6 +166,7 @@ app.post('/api/items/resolve', async (req, res) => {
       FROM item
       WHERE LOWER(name)  = LOWER(?)
         AND LOWER(brand) = LOWER(?)
+        AND deletedAt IS NULL
     `;
     const [rows] = await pool.query(sql, [item, brand]);
     let candidates = rows.map(r => ({
@@ -178,11 +184,16 @@ app.post('/api/items/resolve', async (req, res) => {
       candidates = candidates.filter(c => sameQty(qty, c.quantity));
     }
 
+    // Remembered choices for this exact input come first (itemAlias.js)
+    const matches = await aliasMatches({ item, brand, quantity: qty, userID: req.user?.userID });
+    const aliased = await withAliases(candidates, matches);
+
     // No feature narrowing; just return what we have.
     const payload = {
-      exactId: (candidates.length === 1 ? candidates[0].id : null),
+      exactId: aliased.aliasId ?? (candidates.length === 1 ? candidates[0].id : null),
+      matchedBy: aliased.aliasId ? 'alias' : null,
       suggestedFeatures: [],       // kept for compatibility; client may ignore
-      candidates,
+      candidates: await withAllergenFlags(aliased.candidates, req.user?.userID),
     };
     return res.json(payload);
   } catch (e) {
@@ -202,55 +213,33 @@ app.use('/api/item-input', itemInputRouter);
 app.use('/item-input', itemInputRouter);
 
 // -------------------------- ITEMS (search page) ------------------------------
-// GET /api/items/search?q=&field=all|name|brand|quantity|feature|productcolor&limit=50
-// Reads only from `item` table (id, name, brand, quantity, feature, productColor, picWebsite).
+// GET /api/items/search?q=&field=all|name|brand|quantity|feature|productcolor&limit=50&offset=0
+// Ranked, typo-tolerant match over the `item` table (see itemSearch.js / itemMatch.js).
+// -> { items: [{ id, name, brand, quantity, feature, productColor, picWebsite, score }],
+//      total, totalIsLowerBound, limit, offset, nextOffset }   (score 0..1, null when q is empty)
+// totalIsLowerBound: more rows matched than are ranked (SEARCH_CANDIDATE_LIMIT).
+// &unitPrice=1 adds latestPrice + unitPrice per item; &sort=unitPrice orders by it.
+// Each item carries `allergens`, plus `allergenConflict` for a signed-in user's profile.
 app.get('/api/items/search', async (req, res) => {
   try {
     const q = String(req.query.q ?? '').trim();
     const field = String(req.query.field ?? 'all').toLowerCase();
-    const limit = Math.min(parseInt(String(req.query.limit ?? '50'), 10) || 50, 100);
-
-    const allow = new Set(['all', 'name', 'brand', 'quantity', 'feature', 'productcolor']);
-    if (!allow.has(field)) return res.status(400).json({ error: 'invalid_field' });
-
-    const where = [];
-    const params = [];
-
-    if (q) {
-      const like = `%${q}%`;
-      if (field === 'all') {
-        where.push('(name LIKE ? OR brand LIKE ? OR quantity LIKE ? OR feature LIKE ? OR productColor LIKE ?)');
-        params.push(like, like, like, like, like);
-      } else if (field === 'productcolor') {
-        where.push('productColor LIKE ?');
-        params.push(like);
-      } else {
-        where.push(`${field} LIKE ?`);
-        params.push(like);
-      }
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit ?? '50'), 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(String(req.query.offset ?? '0'), 10) || 0, 0);
+
+    if (!SEARCH_FIELDS.includes(field)) return res.status(400).json({ error: 'invalid_field' });
+    let unitOpts;
+    try {
+      unitOpts = unitPriceOptions(req.query);
+    } catch {
+      return res.status(400).json({ error: 'invalid_sort' });
     }
 
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-    const sql = `
-      SELECT id, name, brand, quantity, feature, productColor, picWebsite
-      FROM item
-      ${whereSql}
-      ORDER BY name ASC, brand ASC
-      LIMIT ?
-    `;
-    params.push(limit);
-
-    const [rows] = await pool.query(sql, params);
-    const items = rows.map((r) => ({
-      id: String(r.id ?? ''),
-      name: String(r.name ?? ''),
-      brand: String(r.brand ?? ''),
-      quantity: String(r.quantity ?? ''),
-      feature: String(r.feature ?? ''),
-      productColor: String(r.productColor ?? ''),
-      picWebsite: String(r.picWebsite ?? ''),
-    }));
-    return res.json({ items });
+    const result = await searchItems({
+      q, field, limit, offset, unitPrice: unitOpts.include, sort: unitOpts.sort,
+    });
+    result.items = await withAllergenFlags(result.items, req.user?.userID);
+    return res.json(result);
   } catch (e) {
     console.error('Error in /api/items/search:', e);
     return res.status(500).json({ error: 'items_search_failed' });
@@ -284,6 +273,7 @@ app.post('/api/items/resolve', async (req, res) => {
       FROM item
       WHERE LOWER(name)  = LOWER(?)
         AND LOWER(brand) = LOWER(?)
+        AND deletedAt IS NULL
     `;
     const [rows] = await pool.query(sql, [item, brand]);
     let candidates = rows.map(r => ({
@@ -329,21 +319,26 @@ app.post('/api/items/resolve', async (req, res) => {
 });
 
 // Add to index.js (ESM) on the 53a4 service
+// Ids merged into another item come back as the survivor with `redirectedFrom`;
+// soft-deleted items are still returned (old receipts point at them) with deleted: true.
 app.post('/api/items/batchByIds', async (req, res) => {
   try {
-    const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(Boolean) : [];
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(Boolean).map(String) : [];
     if (ids.length === 0) return res.json({ items: [] });
 
-    const placeholders = ids.map(() => '?').join(', ');
+    const redirects = await redirectsFor(ids);
+    const wanted = uniq(ids.map((id) => redirects.get(id) ?? id));
+
+    const placeholders = wanted.map(() => '?').join(', ');
     const sql = `
-      SELECT id, name, brand, quantity, feature, productColor, picWebsite
+      SELECT id, name, brand, quantity, feature, productColor, picWebsite, deletedAt
       FROM item
       WHERE id IN (${placeholders})
     `;
-    const [rows] = await pool.execute(sql, ids);
+    const [rows] = await pool.execute(sql, wanted);
 
     // Ensure strings
-    const items = rows.map(r => ({
+    const byId = new Map(rows.map(r => [String(r.id ?? ''), {
       id: String(r.id ?? ''),
       name: String(r.name ?? ''),
       brand: String(r.brand ?? ''),
@@ -351,7 +346,15 @@ app.post('/api/items/batchByIds', async (req, res) => {
       feature: String(r.feature ?? ''),
       productColor: String(r.productColor ?? ''),
       picWebsite: String(r.picWebsite ?? ''),
-    }));
+      ...(r.deletedAt && { deleted: true }),
+    }]));
+
+    const items = [];
+    for (const id of uniq(ids)) {
+      const target = redirects.get(id);
+      const found = byId.get(target ?? id);
+      if (found) items.push(target ? { ...found, redirectedFrom: id } : found);
+    }
     res.json({ items });
   } catch (err) {
     console.error('POST /api/items/batchByIds error:', err);
@@ -471,7 +474,8 @@ app.get('/phone/regions', async (_req, res) => {
   }
 });
 
-app.post('/phone/validate', async (req, res) => {
+const phoneValidateLimit = rateLimit({ name: 'phone_validate', max: 60, windowSec: 10 * 60, key: byIp });
+app.post('/phone/validate', phoneValidateLimit, async (req, res) => {
   try {
     const iso2Req = String(req.body?.iso2 ?? '').trim().toUpperCase();
     const localRaw = String(req.body?.local ?? '');
@@ -567,7 +571,7 @@ app.get('/items', async (req, res) => {
     const colors = splitCsv(color).map((c) => c.toLowerCase());
 
     // Always left join prices so filters can apply if provided.
-    const where = [];
+    const where = ['i.`deletedAt` IS NULL'];
     const params = [];
 
     if (id)        { where.push('i.`id` = ?');        params.push(id); }
@@ -674,7 +678,7 @@ app.get('/item-colors-textless', async (_req, res) => {
 app.get('/item-colors', async (req, res) => {
   try {
     const { brand, channel, shopID } = req.query;
-    const where = [];
+    const where = ['i.`deletedAt` IS NULL'];
     const params = [];
 
     if (brand)   { where.push('i.`brand` = ?');   params.push(brand); }
@@ -722,7 +726,7 @@ app.get('/item-colors', async (req, res) => {
 });
 
 // ------------------------- Test insert endpoint -----------------------------
-app.post('/add', async (req, res) => {
+app.post('/add', requireRole('admin'), async (req, res) => {
   const { testing } = req.body ?? {};
   if (!testing) return res.status(400).json({ error: 'Field "testing" is required.' });
   try {
@@ -735,105 +739,34 @@ app.post('/add', async (req, res) => {
 });
 
 // ------------------------------ Signup APIs ---------------------------------
-// POST /signup  -> simple password hash storage (bcryptjs) in loginTable
-app.post('/signup', async (req, res) => {
-  try {
-    const {
-      username,
-      email,
-      password,
-      phone_country_code,
-      phone_number,
-      q1, a1, q2, a2, q3, a3,
-    } = req.body;
-
-    if (!password || String(password).length < 8) {
-      return res.status(400).json({ error: 'Weak or missing password' });
-    }
-
-    // Accept any single identifier; if neither username nor email provided,
-    // derive a username from phone values when both exist.
-    let finalUsername = username ?? null;
-    const finalEmail = email ?? null;
-    if (!finalUsername && !finalEmail && phone_country_code && phone_number) {
-      finalUsername = `u_${phone_country_code}_${phone_number}`;
-    }
-    if (!finalUsername && !finalEmail) {
-      return res.status(400).json({ error: 'Provide username, email, or phone' });
-    }
-
-    const hashed = await bcrypt.hash(String(password), 10);
-
-    const sql = `
-      INSERT INTO loginTable
-        (username, password, email, phone_country_code, phone_number,
-         secuQuestion1, secuAns1, secuQuestion2, secuAns2, secuQuestion3, secuAns3)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-    const params = [
-      finalUsername,
-      hashed,
-      finalEmail,
-      phone_country_code ?? null,
-      phone_number ?? null,
-      q1 ?? null, a1 ?? null,
-      q2 ?? null, a2 ?? null,
-      q3 ?? null, a3 ?? null,
-    ];
-
-    const [result] = await pool.query(sql, params);
-    return res.status(201).json({ userID: result.insertId });
-  } catch (err) {
-    if (err && err.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({ error: 'Identifier already exists' });
-    }
-    console.error('Signup error:', err); // keep for diagnostics
-    return res.status(500).json({ error: 'Server error' });
-  }
-});
+// POST /api/signup (+ legacy POST /signup alias) -> see signup.js / routes/signup.mjs
+import signupRouter from './routes/signup.mjs';
+app.use(signupRouter);
 
 
-// --- Add this to your ESM index.js on the 53a4 service ---
-
-// If you want qty normalization, make sure sameQty/canonQty are defined above
-
+// POST /api/item/resolve-by-item
+// Body: { item, brand?, quantity?: string|{value,unit}, barcode? }  (item or barcode)
+// -> { exactId, threshold, candidates: [{ id, name, brand, quantity, feature,
+//      productColor, picWebsite, confidence, signals, allergens,
+//      allergenConflict? }] }   (see itemResolve.js, allergens.js)
 app.post('/api/item/resolve-by-item', async (req, res) => {
   try {
     const rawItem = String(req.body?.item ?? '').trim();
-    if (!rawItem) return res.status(400).json({ error: 'item_required' });
-
-    // Optional quantity; you already support string or {value,unit}
-    const qty = req.body?.quantity ?? null;
-
-    // Simple name search: exact or LIKE. Start with LIKE for broader matches.
-    const sql = `
-      SELECT id, name, brand, quantity, feature, productColor, picWebsite
-      FROM item
-      WHERE LOWER(name) LIKE LOWER(?)
-      ORDER BY name ASC
-      LIMIT 50
-    `;
-    const [rows] = await pool.query(sql, [`%${rawItem.toLowerCase()}%`]);
-
-    let candidates = rows.map(r => ({
-      id: String(r.id ?? ''),
-      name: String(r.name ?? ''),
-      brand: String(r.brand ?? ''),
-      quantity: String(r.quantity ?? ''),
-      feature: String(r.feature ?? ''),
-      productColor: String(r.productColor ?? ''),
-      picWebsite: String(r.picWebsite ?? ''),
-    }));
+    const hasBarcode = req.body?.barcode != null && req.body.barcode !== '';
+    if (!rawItem && !hasBarcode) return res.status(400).json({ error: 'item_required' });
 
-    // If you want quantity filtering, reuse your sameQty function:
-    if (qty) {
-      candidates = candidates.filter(c => sameQty(qty, c.quantity));
-    }
+    const gtin = hasBarcode ? normalizeGtin(req.body.barcode) : null;
+    if (hasBarcode && !gtin) return res.status(400).json({ error: 'invalid_barcode' });
 
-    const payload = {
-      exactId: (candidates.length === 1 ? candidates[0].id : null),
-      candidates
-    };
+    const brand = String(req.body?.brand ?? '').trim() || null;
+    const payload = await resolveByItem({
+      item: rawItem,
+      brand,
+      quantity: req.body?.quantity ?? null,
+      gtin,
+      userID: req.user?.userID ?? null,
+    });
+    payload.candidates = await withAllergenFlags(payload.candidates, req.user?.userID);
     return res.json(payload);
   } catch (e) {
     console.error('POST /api/item/resolve-by-item error:', e);
@@ -842,47 +775,21 @@ app.post('/api/item/resolve-by-item', async (req, res) => {
 });
 
 
-// index.js (ESM) — add to the 53a4 service
-import crypto from 'crypto';
+// Price batch writer: per signed-in user (or IP for key-only clients)
+const priceBatchLimit = rateLimit({ name: 'price_batch', max: 60, windowSec: 60 * 60, key: byUserOrIp });
 
-app.post('/api/items/create-batch', async (req, res) => {
-  try {
-    const items = Array.isArray(req.body?.items) ? req.body.items : [];
-    if (items.length === 0) return res.status(400).json({ error: 'items_required' });
-
-    const rows = [];
-    const genId = () => crypto.randomBytes(6).toString('base64url');
-    const tidy = v => (v == null ? null : String(v).trim() || null);
-
-    for (const it of items) {
-      const name = tidy(it?.name);
-      const quantity = tidy(it?.quantity);
-      if (!name || !quantity) continue; // skip invalid rows
-
-      rows.push([
-        tidy(it?.id) || genId(),
-        name,
-        tidy(it?.brand),
-        quantity,
-        tidy(it?.feature),
-        tidy(it?.productColor),
-        tidy(it?.picWebsite),
-      ]);
-    }
-    if (rows.length === 0) return res.status(400).json({ error: 'no_valid_rows' });
+// Catalog writes: create, create-batch, import, by-barcode, GET/PATCH/DELETE :id, merge,
+// :id/image, :id/history and :id/revert (routes/items.mjs)
+import itemsRouter from './routes/items.mjs';
+app.use('/api/items', itemsRouter);
 
-    const sql = `
-      INSERT INTO item (id, name, brand, quantity, feature, productColor, picWebsite)
-      VALUES ?
-    `;
-    await pool.query(sql, [rows]);
+// Category tree, free-text mappings: /api/categories (routes/categories.mjs)
+import categoriesRouter from './routes/categories.mjs';
+app.use('/api/categories', categoriesRouter);
 
-    return res.status(201).json({ ids: rows.map(r => r[0]) });
-  } catch (e) {
-    console.error('POST /api/items/create-batch error:', e);
-    return res.status(500).json({ error: 'server_error' });
-  }
-});
+// Quantity parser preview: POST /api/quantity/parse
+import quantityRouter from './routes/quantity.mjs';
+app.use('/api/quantity', quantityRouter);
 
 
 app.post('/shops/add', async (req, res) => {
@@ -973,7 +880,7 @@ app.post('/api/shops/ensure-lite', async (req, res) => {
 
 
 
-app.post('/api/prices/create-batch', async (req, res) => {
+app.post('/api/prices/create-batch', priceBatchLimit, async (req, res) => {
   try {
     // Expecting { rows: [ ... ] }
     const rawRows = Array.isArray(req.body?.rows) ? req.body.rows : [];
@@ -1073,11 +980,21 @@ app.post('/api/prices/create-batch', async (req, res) => {
 //   to=YYYY-MM-DD
 //   limit (default 500, max 2000)
 //   offset (default 0)
+//   unitPrice=1  adds unitPrice: { per: '100g'|'100ml'|'unit', normal, discount, best }
+//   sort=unitPrice  cheapest per unit first (implies unitPrice=1; see unitPrice.js).
+//     Sorted in memory: 400 { error: 'unit_price_sort_too_broad', max } when
+//     the filters match more than UNIT_PRICE_SORT_MAX rows.
 //
 // Response:
-// { count, rows: [ { id, channel, itemID, shopID, date, normalPrice, discountPrice, shopAdd, discountCond } ] }
+// { count, rows: [ { id, channel, itemID, shopID, date, normalPrice, discountPrice, shopAdd, discountCond, unitPrice? } ] }
 app.get('/api/prices', async (req, res) => {
   try {
+    let unitOpts;
+    try {
+      unitOpts = unitPriceOptions(req.query);
+    } catch {
+      return res.status(400).json({ error: 'invalid_sort' });
+    }
     const {
       itemID,
       shopID,
@@ -1113,8 +1030,13 @@ app.get('/api/prices', async (req, res) => {
       LIMIT ? OFFSET ?
     `;
 
-    const finalParams = [...params, lim, off];
+    // Unit price order can only be applied once computed: page in memory
+    const byUnit = unitOpts.sort === 'unitPrice';
+    const finalParams = byUnit ? [...params, UNIT_PRICE_SORT_MAX + 1, 0] : [...params, lim, off];
     const [rows] = await pool.query(sql, finalParams);
+    if (byUnit && unitPriceSortTooBroad(rows)) {
+      return res.status(400).json({ error: 'unit_price_sort_too_broad', max: UNIT_PRICE_SORT_MAX });
+    }
 
     // Clean up and type-normalize
     const data = rows.map(r => ({
@@ -1129,7 +1051,11 @@ app.get('/api/prices', async (req, res) => {
       discountCond: (r.discountCond == null ? null : String(r.discountCond)),
     }));
 
-    return res.json({ count: data.length, rows: data });
+    if (!unitOpts.include) return res.json({ count: data.length, rows: data });
+
+    const priced = await withPriceUnitPrices(data);
+    const out = byUnit ? priced.sort(compareUnitPrice).slice(off, off + lim) : priced;
+    return res.json({ count: out.length, rows: out });
   } catch (e) {
     console.error('GET /api/prices error:', e);
     return res.status(500).json({ error: 'server_error' });
@@ -1139,7 +1065,8 @@ app.get('/api/prices', async (req, res) => {
 
 
 // C: FIXED PARTIAL UPDATE (only updates fields included in req.body)
-app.put('/api/prices/:id', async (req, res) => {
+// Editing a shared price row: contributors and admins only
+app.put('/api/prices/:id', requireRole('contributor'), async (req, res) => {
   try {
     const id = req.params.id;
     const fields = [];
@@ -1176,8 +1103,8 @@ app.put('/api/prices/:id', async (req, res) => {
 });
 
 
-// GET /api/chain-shop
-app.get('/api/chain-shop', async (_req, res) => {
+// GET /api/chain-shop (raw table dump, admin only)
+app.get('/api/chain-shop', requireRole('admin'), async (_req, res) => {
   try {
     const [rows] = await pool.query('SELECT * FROM chainShop ORDER BY shopName ASC');
     res.json({ shops: rows });
@@ -1189,7 +1116,9 @@ app.get('/api/chain-shop', async (_req, res) => {
 
 
 // FINAL — Correct for your MySQL table EXACTLY as shown
-app.post('/api/item-input', async (req, res) => {
+// Rows are owned by the signed-in user (Authorization: Bearer <accessToken>)
+// Body may carry `category`; otherwise the item's default category is inherited
+app.post('/api/item-input', requireAuth, async (req, res) => {
   try {
     const b = req.body || {};
 
@@ -1207,18 +1136,21 @@ app.post('/api/item-input', async (req, res) => {
     // Channel (store as lower-case)
     const channel = (b.channel ?? '').toString().trim().toLowerCase() || null;
 
+    // Category: as typed, else the item's default (categories.js)
+    const { category, categoryID } = await inputCategory(b.itemID, b.category);
+
     // Insert EXACT columns from your table:
     const sql = `
       INSERT INTO itemInput
         (userID, brand, itemName, itemNo, itemID, feature, quantity,
          priceValue, priceID, discountApplied, channel,
-         shop_name, shop_address, chainShopID, createdAt)
+         shop_name, shop_address, chainShopID, createdAt, category, categoryID)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
-         COALESCE(?, CURRENT_TIMESTAMP))
+         COALESCE(?, CURRENT_TIMESTAMP), ?, ?)
     `;
 
     const params = [
-      b.userID ?? null,
+      req.user.userID, // always the signed-in user, never b.userID
       b.brand ?? null,
       b.itemName ?? null,
       b.itemNo ?? null,
@@ -1233,7 +1165,9 @@ app.post('/api/item-input', async (req, res) => {
       b.shop_name ?? null,
       b.shop_address ?? null,
       String(b.chainShopID),
-      b.createdAt ?? null
+      b.createdAt ?? null,
+      category,
+      categoryID
     ];
 
     console.log("[item-input] inserting:", params);
@@ -1256,7 +1190,7 @@ app.post('/api/item-input', async (req, res) => {
 
 
 // POST /api/item-input
-app.post('/api/item-input', async (req, res) => {
+app.post('/api/item-input', requireAuth, async (req, res) => {
   try {
     const b = req.body || {};
     if (!b.itemID)      return res.status(400).json({ error: 'itemID_required' });
@@ -1265,16 +1199,17 @@ app.post('/api/item-input', async (req, res) => {
 
     const discountApplied =
       (b.discountApplied === true || b.discountApplied === 1 || b.discountApplied === '1') ? 1 : 0;
+    const { category, categoryID } = await inputCategory(b.itemID, b.category);
 
     const sql = `
       INSERT INTO itemInput
         (userID, brand, itemName, itemNo, itemID, feature, quantity,
          priceValue, priceID, discountApplied, channel, shop_name, shop_address,
-         chainShopID, createdAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+         chainShopID, createdAt, category, categoryID)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?)
     `;
     const params = [
-      b.userID ?? null,
+      req.user.userID, // always the signed-in user, never b.userID
       b.brand ?? null,
       b.itemName ?? null,
       b.itemNo ?? null,
@@ -1288,7 +1223,9 @@ app.post('/api/item-input', async (req, res) => {
       b.shop_name ?? null,
       b.shop_address ?? null,
       String(b.chainShopID),
-      b.createdAt ?? null
+      b.createdAt ?? null,
+      category,
+      categoryID
     ];
 
     const [result] = await pool.execute(sql, params);
@@ -1300,6 +1237,13 @@ app.post('/api/item-input', async (req, res) => {
 });
 
 
+// --------------------------- Background jobs --------------------------------
+// Re-encrypt email/phone onto DATA_KEY_CURRENT after a key rotation
+import { startContactReencryptJob } from './contacts.js';
+if (process.env.CONTACT_REENCRYPT_INTERVAL_MIN) {
+  startContactReencryptJob(process.env.CONTACT_REENCRYPT_INTERVAL_MIN);
+}
+
 // ------------------------------ Start server --------------------------------
 const port = process.env.PORT || 3000;
 app.listen(port, () => console.log(`Server running on port ${port}`));
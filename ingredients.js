@@ -0,0 +1,145 @@
+// ingredients.js (ESM)
+// Ingredient list -> allergens (POST /api/items/:id/ingredients).
+// The text is split into ingredients (sub-lists in brackets included), the
+// "may contain ..." clause is kept apart, and terms are looked up in the
+// allergenSynonym table (sql/012_item_ingredients.sql), longest phrase first.
+// Bold (**milk**, <b>milk</b>) or UPPERCASE words are the usual way labels
+// mark allergens; those are reported when no synonym explains them.
+import { pool } from './db.js';
+import { normalizeText } from './itemMatch.js';
+
+// Start of the precautionary clause; everything after it in that sentence
+const MAY_CONTAIN_RE = new RegExp(
+  [
+    'may\\s+(?:also\\s+)?contain',
+    'may\\s+be\\s+present',
+    'traces?\\s+of',
+    '(?:made|produced|packed)\\s+(?:in|on)\\s+a\\s+[^.;:]*?(?:handles|uses|also\\s+processes)',
+    'not\\s+suitable\\s+for\\s+[^.;:]*?allerg(?:y|ies)\\s+to',
+  ].join('|'),
+  'i'
+);
+
+/** "<b>MILK</b> powder" -> ["milk"] for bold / uppercase runs */
+function emphasizedTerms(text) {
+  const out = new Set();
+  const bold = /\*\*([^*]+)\*\*|__([^_]+)__|<(?:b|strong)>(.*?)<\/(?:b|strong)>/gi;
+  for (const m of text.matchAll(bold)) out.add(normalizeText(m[1] ?? m[2] ?? m[3]));
+  // Uppercase only means something in a mostly lower-case list
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  const upper = letters.replace(/[^A-Z]/g, '').length;
+  if (letters.length && upper / letters.length < 0.6) {
+    for (const m of text.matchAll(/\b[A-Z]{3,}(?:\s+[A-Z]{3,})*\b/g)) out.add(normalizeText(m[0]));
+  }
+  out.delete('');
+  return [...out];
+}
+
+/** Comma / bracket separated list -> normalized ingredient strings */
+function splitList(text) {
+  return text
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[*_]{2}/g, '')
+    .replace(/\d+(?:[.,]\d+)?\s*%/g, ' ')
+    .split(/[,;()[\]{}:]|\.(?!\d)|\band\/or\b|\s&\s/i)
+    .map(normalizeText)
+    .filter(Boolean);
+}
+
+/**
+ * Label text -> { ingredients: [...], mayContain: [...], emphasized: [...] },
+ * all lower-cased and normalized. Pure.
+ *   "Wheat flour, sugar, chocolate (cocoa butter, MILK powder). May contain nuts."
+ *    -> ingredients ['wheat flour', 'sugar', 'chocolate', 'cocoa butter', 'milk powder'],
+ *       mayContain ['nuts'], emphasized ['milk']
+ */
+export function parseIngredients(text) {
+  const raw = String(text ?? '');
+  const body = raw.replace(/^\s*ingredients?\s*:?/i, '');
+  const ingredients = [];
+  const mayContain = [];
+  const kept = [];
+
+  // Each sentence either lists ingredients or holds a may-contain clause;
+  // "Allergy advice: see ingredients in BOLD" is skipped entirely
+  for (const sentence of body.split(/\.(?!\d)\s*|\n+/)) {
+    if (/^\s*(?:allergy\s+advice|for\s+allergens)\b/i.test(sentence)) continue;
+    kept.push(sentence);
+    const m = sentence.match(MAY_CONTAIN_RE);
+    if (!m) {
+      ingredients.push(...splitList(sentence));
+      continue;
+    }
+    ingredients.push(...splitList(sentence.slice(0, m.index)));
+    mayContain.push(...splitList(sentence.slice(m.index + m[0].length).replace(/\bother\b/gi, ' ')));
+  }
+  return { ingredients, mayContain, emphasized: emphasizedTerms(kept.join('. ')) };
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Synonym matching                           */
+/* ------------------------------------------------------------------ */
+/** allergenSynonym rows -> [{ words, allergen|null }], longest phrase first */
+export async function loadSynonyms() {
+  const [rows] = await pool.query('SELECT term, allergen FROM allergenSynonym');
+  return rows
+    .map((r) => ({ words: normalizeText(r.term).split(' ').filter(Boolean), allergen: r.allergen ?? null }))
+    .filter((s) => s.words.length)
+    .sort((a, b) => b.words.length - a.words.length);
+}
+
+// "almonds" / "peaches" match the synonym "almond" / "peach"
+const sameWord = (w, t) => w === t || w === `${t}s` || w === `${t}es`;
+
+/** Synonyms found in one ingredient -> [{ term, allergen|null }], non-overlapping */
+function termsIn(ingredient, synonyms) {
+  const words = ingredient.split(' ');
+  const found = [];
+  for (let i = 0; i < words.length;) {
+    const hit = synonyms.find((s) =>
+      s.words.length <= words.length - i && s.words.every((t, k) => sameWord(words[i + k], t))
+    );
+    if (!hit) { i++; continue; }
+    found.push({ term: hit.words.join(' '), allergen: hit.allergen });
+    i += hit.words.length;
+  }
+  return found;
+}
+
+/**
+ * parseIngredients() output + synonyms -> { contains, mayContain, matches,
+ * unmatchedEmphasis }. `known` (canonical names, any case) limits results to
+ * allergens that exist; a name in both sets stays only in `contains`. Pure.
+ */
+export function deriveAllergens(parsed, synonyms, known = null) {
+  const canon = known && new Map(known.map((n) => [n.toLowerCase(), n]));
+  const contains = new Set();
+  const mayContain = new Set();
+  const matches = [];
+  const explained = new Set();
+
+  const scan = (list, level) => {
+    for (const ingredient of list) {
+      for (const { term, allergen } of termsIn(ingredient, synonyms)) {
+        explained.add(term);
+        if (!allergen) continue;
+        const name = canon ? canon.get(allergen.toLowerCase()) : allergen;
+        if (!name) continue;
+        (level === 'contains' ? contains : mayContain).add(name);
+        matches.push({ ingredient, term, allergen: name, level });
+      }
+    }
+  };
+  scan(parsed.ingredients, 'contains');
+  scan(parsed.mayContain, 'may_contain');
+
+  const unmatchedEmphasis = parsed.emphasized.filter((e) =>
+    !termsIn(e, synonyms).length && ![...explained].some((t) => e.includes(t))
+  );
+  return {
+    contains: [...contains].sort(),
+    mayContain: [...mayContain].filter((a) => !contains.has(a)).sort(),
+    matches,
+    unmatchedEmphasis,
+  };
+}
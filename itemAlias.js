@@ -0,0 +1,116 @@
+// itemAlias.js (ESM)
+// Remembered resolve choices (table: itemAlias, see sql/007_item_alias.sql).
+// When a user picks a candidate for some input text, the next identical input
+// (same normalized item + brand + quantity) resolves straight to that item:
+// the user's own pick first, otherwise a clear majority of other users' picks.
+import crypto from 'crypto';
+import { pool } from './db.js';
+import { normalizeText } from './itemMatch.js';
+import { toCanon } from './quantity.js';
+
+// Other users' picks needed before an alias resolves for everyone
+const ALIAS_MIN_PICKS = Number(process.env.ALIAS_MIN_PICKS ?? 2);
+
+const toItem = (r) => ({
+  id: String(r.id ?? ''),
+  name: String(r.name ?? ''),
+  brand: String(r.brand ?? ''),
+  quantity: String(r.quantity ?? ''),
+  feature: String(r.feature ?? ''),
+  productColor: String(r.productColor ?? ''),
+  picWebsite: String(r.picWebsite ?? ''),
+});
+
+/** Normalized parts of a resolve input; quantity as canonical "330ml" / "6x330ml" or null */
+export function aliasInput({ item, brand = null, quantity = null }) {
+  const q = toCanon(quantity);
+  return {
+    item: normalizeText(item),
+    brand: normalizeText(brand) || null,
+    qty: q ? `${q.count > 1 ? `${q.count}x${q.each.value}` : q.value}${q.unit}` : null,
+  };
+}
+
+export function aliasKey(input) {
+  const a = aliasInput(input);
+  return crypto.createHash('sha256').update(`${a.item}|${a.brand ?? ''}|${a.qty ?? ''}`).digest('hex');
+}
+
+/**
+ * Store userID's choice of itemID for this input, replacing their earlier one.
+ * Throws Error('item_not_found') when itemID isn't in the catalog.
+ */
+export async function recordSelection({ item, brand, quantity, itemID, userID }) {
+  const [found] = await pool.execute('SELECT id FROM item WHERE id = ? AND deletedAt IS NULL LIMIT 1', [String(itemID)]);
+  if (!found.length) throw new Error('item_not_found');
+
+  const a = aliasInput({ item, brand, quantity });
+  const key = aliasKey({ item, brand, quantity });
+  await pool.execute(
+    `INSERT INTO itemAlias (aliasKey, inputItem, inputBrand, inputQty, itemID, userID)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE itemID = VALUES(itemID), createdAt = CURRENT_TIMESTAMP`,
+    [key, a.item.slice(0, 255), a.brand?.slice(0, 255) ?? null,
+      a.qty, String(itemID), String(userID)]
+  );
+  return { aliasKey: key, itemID: String(itemID) };
+}
+
+/**
+ * Picks recorded for this input -> [{ itemID, picks, mine }], most relevant first
+ * (own pick, then most picked).
+ */
+export async function aliasMatches({ item, brand, quantity, userID = null }) {
+  const [rows] = await pool.query(
+    `SELECT itemID,
+            COUNT(*) AS picks,
+            SUM(CASE WHEN userID = ? THEN 1 ELSE 0 END) AS mine
+       FROM itemAlias
+      WHERE aliasKey = ?
+      GROUP BY itemID
+      ORDER BY mine DESC, picks DESC`,
+    [userID ?? '', aliasKey({ item, brand, quantity })]
+  );
+  return rows.map((r) => ({ itemID: String(r.itemID), picks: Number(r.picks), mine: Number(r.mine ?? 0) > 0 }));
+}
+
+/** The item an input should resolve to on aliases alone, or null */
+export function decisiveAlias(matches) {
+  const [top, next] = matches;
+  if (!top) return null;
+  if (top.mine) return top.itemID;
+  if (top.picks >= ALIAS_MIN_PICKS && (!next || top.picks >= 2 * next.picks)) return top.itemID;
+  return null;
+}
+
+/**
+ * Put aliased items at the front of a candidate list (fetching any the
+ * matcher didn't find) and tag them with `aliasPicks`.
+ * -> { candidates, aliasId } where aliasId = decisiveAlias(matches)
+ */
+export async function withAliases(candidates, matches) {
+  if (!matches.length) return { candidates, aliasId: null };
+
+  const have = new Map(candidates.map((c) => [c.id, c]));
+  const missing = matches.map((m) => m.itemID).filter((id) => !have.has(id));
+  if (missing.length) {
+    const [rows] = await pool.query(
+      `SELECT id, name, brand, quantity, feature, productColor, picWebsite
+         FROM item
+        WHERE id IN (?) AND deletedAt IS NULL`,
+      [missing]
+    );
+    for (const r of rows) have.set(String(r.id), toItem(r));
+  }
+
+  const front = matches
+    .filter((m) => have.has(m.itemID))
+    .map((m) => ({ ...have.get(m.itemID), aliasPicks: m.picks }));
+  const frontIds = new Set(front.map((c) => c.id));
+  const aliasId = decisiveAlias(matches);
+
+  return {
+    candidates: [...front, ...candidates.filter((c) => !frontIds.has(c.id))],
+    aliasId: aliasId && frontIds.has(aliasId) ? aliasId : null,
+  };
+}
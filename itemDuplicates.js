@@ -0,0 +1,176 @@
+// itemDuplicates.js (ESM)
+// Near-duplicate detection for the `item` catalog (GET /api/admin/items/duplicates).
+// Items are only compared within a block of same brand + equivalent quantity
+// (500ml == 0.5L via canonQty), then clustered on name/feature similarity.
+// Comparing is quadratic per block, so blocks over DUPLICATE_MAX_BLOCK items
+// are listed rather than compared, and a computed report is kept for
+// DUPLICATE_REPORT_TTL_SEC so paging through it doesn't recompute it.
+import { pool } from './db.js';
+import { tokenize, tokenMatch } from './itemMatch.js';
+import { canonQty } from './quantity.js';
+
+const NAME_WEIGHT = 0.85;
+const FEATURE_WEIGHT = 0.15;
+const MAX_BLOCK = Number(process.env.DUPLICATE_MAX_BLOCK ?? 200);
+const REPORT_TTL_MS = Number(process.env.DUPLICATE_REPORT_TTL_SEC ?? 10 * 60) * 1000;
+
+/** Brand + quantity bucket; quantities that don't parse compare as text */
+function blockKey(item) {
+  const brand = tokenize(item.brand).join('');
+  const q = canonQty(item.quantity);
+  const qty = q ? `${q.count > 1 ? `${q.count}x` : ''}${Math.round(q.value)}${q.unit}` : tokenize(item.quantity).join('');
+  return `${brand}|${qty}`;
+}
+
+/** Symmetric token similarity 0..1 (each side's words found in the other) */
+function tokenSimilarity(a, b) {
+  if (!a.length && !b.length) return 1;
+  if (!a.length || !b.length) return 0;
+  if (a.join('') === b.join('')) return 1; // "CocaCola" vs "Coca-Cola"
+  const side = (xs, ys) => {
+    const compact = ys.join('');
+    return xs.reduce((acc, x) => acc + tokenMatch(x, ys, compact), 0) / xs.length;
+  };
+  return (side(a, b) + side(b, a)) / 2;
+}
+
+export function itemSimilarity(a, b) {
+  const name = tokenSimilarity(tokenize(a.name), tokenize(b.name));
+  const feature = tokenSimilarity(
+    tokenize(String(a.feature ?? '').replace(/,/g, ' ')),
+    tokenize(String(b.feature ?? '').replace(/,/g, ' '))
+  );
+  return Math.round((NAME_WEIGHT * name + FEATURE_WEIGHT * feature) * 1000) / 1000;
+}
+
+/** blockKey -> items in that block */
+function itemBlocks(items) {
+  const blocks = new Map();
+  for (const it of items) {
+    const k = blockKey(it);
+    blocks.set(k, [...(blocks.get(k) ?? []), it]);
+  }
+  return blocks;
+}
+
+/**
+ * Cluster items whose pairwise similarity reaches `threshold` (linked
+ * transitively) -> [{ ids, score, pairs: [{ a, b, similarity }] }], where
+ * score is the mean similarity of the linking pairs. Blocks larger than
+ * `maxBlock` are not compared. Pure; no DB access.
+ */
+export function duplicateGroups(items, { threshold = 0.8, maxBlock = Infinity } = {}) {
+  const blocks = [...itemBlocks(items).values()].filter((b) => b.length <= maxBlock);
+
+  const parent = new Map(items.map((it) => [it.id, it.id]));
+  const find = (x) => {
+    while (parent.get(x) !== x) x = parent.get(x);
+    return x;
+  };
+  const pairs = [];
+
+  for (const block of blocks) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const similarity = itemSimilarity(block[i], block[j]);
+        if (similarity < threshold) continue;
+        pairs.push({ a: block[i].id, b: block[j].id, similarity });
+        parent.set(find(block[i].id), find(block[j].id));
+      }
+    }
+  }
+
+  const groups = new Map();
+  for (const p of pairs) {
+    const root = find(p.a);
+    const g = groups.get(root) ?? { ids: new Set(), pairs: [] };
+    g.ids.add(p.a);
+    g.ids.add(p.b);
+    g.pairs.push(p);
+    groups.set(root, g);
+  }
+  return [...groups.values()].map((g) => ({
+    ids: [...g.ids],
+    score: Math.round((g.pairs.reduce((acc, p) => acc + p.similarity, 0) / g.pairs.length) * 1000) / 1000,
+    pairs: g.pairs,
+  }));
+}
+
+/** itemID -> number of prices + itemInput rows pointing at it */
+async function referenceCounts(ids) {
+  const counts = new Map(ids.map((id) => [id, 0]));
+  if (!ids.length) return counts;
+  for (const table of ['prices', 'itemInput']) {
+    const [rows] = await pool.query(
+      `SELECT itemID, COUNT(*) AS n FROM ${table} WHERE itemID IN (?) GROUP BY itemID`,
+      [ids]
+    );
+    for (const r of rows) counts.set(String(r.itemID), (counts.get(String(r.itemID)) ?? 0) + Number(r.n));
+  }
+  return counts;
+}
+
+let cached = null; // { threshold, at, groups, byId, skippedBlocks }
+
+/** Groups over all live items, best first, plus the blocks too large to compare */
+async function computeReport(threshold) {
+  const [rows] = await pool.query(
+    `SELECT id, name, brand, quantity, feature
+       FROM item
+      WHERE deletedAt IS NULL`
+  );
+  const items = rows.map((r) => ({
+    id: String(r.id ?? ''),
+    name: String(r.name ?? ''),
+    brand: String(r.brand ?? ''),
+    quantity: String(r.quantity ?? ''),
+    feature: String(r.feature ?? ''),
+  }));
+  const skippedBlocks = [...itemBlocks(items).values()]
+    .filter((b) => b.length > MAX_BLOCK)
+    .map((b) => ({ brand: b[0].brand, quantity: b[0].quantity, items: b.length }))
+    .sort((a, b) => b.items - a.items);
+  const groups = duplicateGroups(items, { threshold, maxBlock: MAX_BLOCK })
+    .sort((a, b) => b.score - a.score || b.ids.length - a.ids.length || a.ids[0].localeCompare(b.ids[0]));
+  // Only grouped items stay cached, not the whole table
+  const all = new Map(items.map((it) => [it.id, it]));
+  const byId = new Map(groups.flatMap((g) => g.ids).map((id) => [id, all.get(id)]));
+  return { threshold, at: Date.now(), groups, byId, skippedBlocks };
+}
+
+/**
+ * One page of the duplicate report over all live items, best groups first.
+ * Each group suggests a merge: the most referenced item survives.
+ *  -> { groups: [{ score, items: [{ ...item, references }], pairs, merge: { targetID, sourceIDs } }],
+ *       total, offset, nextOffset, generatedAt, skippedBlocks: [{ brand, quantity, items }] }
+ * The whole report is computed once per threshold and reused for
+ * REPORT_TTL_MS (pass `refresh` after merging to see the result).
+ */
+export async function duplicateReport({ threshold = 0.8, limit = 100, offset = 0, refresh = false } = {}) {
+  if (refresh || !cached || cached.threshold !== threshold || Date.now() - cached.at > REPORT_TTL_MS) {
+    cached = await computeReport(threshold);
+  }
+  const { groups, byId, skippedBlocks, at } = cached;
+
+  const page = groups.slice(offset, offset + limit);
+  const refs = await referenceCounts(page.flatMap((g) => g.ids));
+
+  return {
+    groups: page.map((g) => {
+      const members = g.ids
+        .map((id) => ({ ...byId.get(id), references: refs.get(id) ?? 0 }))
+        .sort((a, b) => b.references - a.references || a.id.localeCompare(b.id));
+      return {
+        score: g.score,
+        items: members,
+        pairs: g.pairs,
+        merge: { targetID: members[0].id, sourceIDs: members.slice(1).map((m) => m.id) },
+      };
+    }),
+    total: groups.length,
+    offset,
+    nextOffset: offset + page.length < groups.length ? offset + page.length : null,
+    generatedAt: new Date(at).toISOString(),
+    skippedBlocks,
+  };
+}
@@ -0,0 +1,138 @@
+// itemHistory.js (ESM)
+// Audit trail of catalog item rows (table: itemHistory, see
+// sql/013_item_history.sql). Writers take a snapshot before and after the
+// change inside their own transaction and record both; revert restores the
+// snapshot stored as some entry's `after`. Barcodes, aliases and allergens
+// have their own tables and aren't part of the snapshot.
+import { pool } from './db.js';
+
+// item columns a snapshot holds (and a revert writes back)
+export const HISTORY_COLUMNS = [
+  'name', 'brand', 'quantity', 'feature', 'productColor', 'picWebsite', 'categoryID', 'ingredients', 'deletedAt',
+];
+
+const toSnapshot = (r) => ({
+  name: r.name ?? null,
+  brand: r.brand ?? null,
+  quantity: r.quantity ?? null,
+  feature: r.feature ?? null,
+  productColor: r.productColor ?? null,
+  picWebsite: r.picWebsite ?? null,
+  categoryID: r.categoryID == null ? null : Number(r.categoryID),
+  ingredients: r.ingredients ?? null,
+  deletedAt: r.deletedAt == null ? null : new Date(r.deletedAt).toISOString(),
+});
+
+/** ids -> Map(id -> snapshot) for the rows that exist (deleted ones included) */
+export async function snapshots(ids, conn = pool) {
+  const wanted = [...new Set(ids.map(String))];
+  if (!wanted.length) return new Map();
+  const [rows] = await conn.query(
+    `SELECT id, ${HISTORY_COLUMNS.join(', ')} FROM item WHERE id IN (?)`,
+    [wanted]
+  );
+  return new Map(rows.map((r) => [String(r.id), toSnapshot(r)]));
+}
+
+/** Fields that differ -> { field: { from, to } } (either side may be null) */
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const col of HISTORY_COLUMNS) {
+    const from = before?.[col] ?? null;
+    const to = after?.[col] ?? null;
+    if (from !== to) changes[col] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Store entries [{ itemID, action, before, after, details? }] by `userID`.
+ * Entries that change nothing are dropped, except merges (the surviving item
+ * records which ids it absorbed). Call inside the writer's transaction.
+ */
+export async function recordHistory(conn, entries, userID = null) {
+  const rows = entries
+    .filter((e) => e.action === 'merge' || Object.keys(diffSnapshots(e.before, e.after)).length)
+    .map((e) => [
+      String(e.itemID),
+      e.action,
+      userID,
+      e.before ? JSON.stringify(e.before) : null,
+      e.after ? JSON.stringify(e.after) : null,
+      e.details ? JSON.stringify(e.details) : null,
+    ]);
+  if (!rows.length) return 0;
+  await conn.query(
+    'INSERT INTO itemHistory (itemID, action, changedBy, `before`, `after`, details) VALUES ?',
+    [rows]
+  );
+  return rows.length;
+}
+
+/**
+ * Snapshot ids, run `change`, snapshot again and record one `action` entry per
+ * id (`details(id)` adds context). Returns whatever `change` returns.
+ */
+export async function withHistory(conn, ids, action, userID, change, details = null) {
+  const before = await snapshots(ids, conn);
+  const result = await change();
+  const after = await snapshots(ids, conn);
+  await recordHistory(
+    conn,
+    ids.map((id) => ({
+      itemID: id,
+      action,
+      before: before.get(String(id)) ?? null,
+      after: after.get(String(id)) ?? null,
+      details: details?.(String(id)) ?? null,
+    })),
+    userID
+  );
+  return result;
+}
+
+// mysql2 returns JSON columns parsed; older servers hand back strings
+const json = (v) => (v == null ? null : typeof v === 'string' ? JSON.parse(v) : v);
+
+const toEntry = (r) => {
+  const before = json(r.before);
+  const after = json(r.after);
+  return {
+    version: Number(r.id),
+    action: r.action,
+    changedBy: r.changedBy ?? null,
+    changedAt: r.changedAt,
+    changes: diffSnapshots(before, after),
+    after,
+    details: json(r.details),
+  };
+};
+
+/**
+ * Entries for one item id, newest first -> { history, nextBefore }.
+ * `before` (a version) pages back; nextBefore is null on the last page.
+ */
+export async function itemHistory(itemID, { limit = 50, before = null } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id, action, changedBy, changedAt, \`before\`, \`after\`, details
+       FROM itemHistory
+      WHERE itemID = ? ${before != null ? 'AND id < ?' : ''}
+      ORDER BY id DESC
+      LIMIT ?`,
+    [String(itemID), ...(before != null ? [before] : []), limit + 1]
+  );
+  const page = rows.slice(0, limit).map(toEntry);
+  return { history: page, nextBefore: rows.length > limit ? page[page.length - 1].version : null };
+}
+
+/** One entry of an item (for revert), or null */
+export async function historyEntry(itemID, version, conn = pool) {
+  const [rows] = await conn.query(
+    `SELECT id, action, changedBy, changedAt, \`before\`, \`after\`, details
+       FROM itemHistory
+      WHERE id = ? AND itemID = ?
+      LIMIT 1`,
+    [version, String(itemID)]
+  );
+  return rows[0] ? toEntry(rows[0]) : null;
+}
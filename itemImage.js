@@ -0,0 +1,387 @@
+// itemImage.js (ESM)
+// Local copies of item pictures (GET /api/items/:id/image). The picWebsite
+// URL is fetched once, checked (type, size, magic bytes) and kept under
+// IMAGE_CACHE_DIR with a small JSON sidecar; thumbnails are made from that copy
+// on first use. A copy older than IMAGE_TTL_HOURS is still served while a
+// background refresh runs. Files are named after the content hash, so a
+// refresh never changes a file a reader may be using; older ones are swept,
+// along with the least recently used URLs once the cache passes
+// IMAGE_CACHE_MAX_BYTES.
+//
+// A fetcher is anything with:
+//   fetch(url, { etag, lastModified }) -> Promise<{ status: 200 | 304,
+//     contentType?, body?: Buffer, etag?, lastModified? }>
+// and a resizer:
+//   resize(buffer, { width, contentType }) -> Promise<Buffer | null>   (null = use the original)
+// Plug other ones in with setImageFetcher() / setImageResizer() (e.g. an
+// offline fetcher reading fixtures). The default resizer is `sharp`.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import sharp from 'sharp';
+
+const CACHE_DIR = path.resolve(process.env.IMAGE_CACHE_DIR || '.image-cache');
+export const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES ?? 5 * 1024 * 1024);
+const TTL_MS = Number(process.env.IMAGE_TTL_HOURS ?? 24 * 7) * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = Number(process.env.IMAGE_FETCH_TIMEOUT_MS ?? 10000);
+const MAX_REDIRECTS = 3;
+const CACHE_MAX_BYTES = Number(process.env.IMAGE_CACHE_MAX_BYTES ?? 1024 * 1024 * 1024);
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Files of a replaced original outlive it this long, for requests still reading them
+const ORPHAN_GRACE_MS = 10 * 60 * 1000;
+
+// Widths a client may ask for; anything else is rounded up to the next one
+export const THUMB_WIDTHS = [64, 128, 256, 512, 1024];
+
+// Accepted types and the bytes each file must start with
+const SIGNATURES = {
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (b) => b.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+export const IMAGE_TYPES = Object.keys(SIGNATURES);
+
+const fail = (code, extra = {}) => Object.assign(new Error(code), extra);
+
+/** "image/JPEG; charset=x" -> "image/jpeg" ("image/jpg" too) */
+const baseType = (v) => String(v ?? '').split(';')[0].trim().toLowerCase().replace('image/jpg', 'image/jpeg');
+
+/* ------------------------------------------------------------------ */
+/*                            Fetchers                                 */
+/* ------------------------------------------------------------------ */
+// Addresses an image is never fetched from: loopback, private, link-local,
+// shared/reserved/documentation ranges and multicast, plus the IPv6 forms
+// that carry an IPv4 address (mapped, compatible, NAT64, 6to4, Teredo) so
+// e.g. [::ffff:7f00:1] can't stand in for 127.0.0.1. Two lists: a BlockList
+// checks IPv4 addresses against IPv6 rules as ::ffff:a.b.c.d.
+const BLOCKED_V4 = new net.BlockList();
+const BLOCKED_V6 = new net.BlockList();
+for (const [ip, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3],
+]) BLOCKED_V4.addSubnet(ip, bits, 'ipv4');
+for (const [ip, bits] of [
+  ['::', 96], ['::ffff:0:0', 96], ['::ffff:0:0:0', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+  ['2001::', 32], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+]) BLOCKED_V6.addSubnet(ip, bits, 'ipv6');
+
+/** True for an IP literal in a blocked range (and anything that isn't an IP) */
+export function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return BLOCKED_V4.check(ip, 'ipv4');
+  if (family === 6) return BLOCKED_V6.check(ip, 'ipv6');
+  return true;
+}
+
+/**
+ * `url` -> URL when it is http(s); an IP literal host must be public (node
+ * connects to literals without a lookup, so names are the only thing left to
+ * publicLookup). Called for the first URL and every redirect target. Else
+ * invalid_image_url.
+ */
+export function imageUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { throw fail('invalid_image_url'); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw fail('invalid_image_url');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (!host || (net.isIP(host) && isPrivateAddress(host))) throw fail('invalid_image_url');
+  return u;
+}
+
+/**
+ * dns.lookup for the request's socket that refuses private addresses. The
+ * connection goes to exactly the addresses checked here, so a host can't
+ * pass a separate check and then resolve somewhere else (DNS rebinding).
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return callback(err);
+    if (!addrs.length || addrs.some((a) => isPrivateAddress(a.address))) return callback(fail('invalid_image_url'));
+    if (options.all) return callback(null, addrs);
+    return callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+/** One GET (no redirects followed) -> the response, body not yet read */
+function request(u, headers, signal) {
+  return new Promise((resolve, reject) => {
+    const client = u.protocol === 'https:' ? https : http;
+    client.get(u, { headers, lookup: publicLookup, signal }, resolve).on('error', reject);
+  });
+}
+
+/** Response body -> Buffer, giving up past `max` bytes */
+async function readCapped(res, max) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > max) {
+      res.destroy();
+      throw fail('image_too_large', { max });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Plain HTTP(S) via node's http/https. Redirects are followed by hand so every
+ * hop goes through publicLookup; conditional headers make refreshes cheap.
+ */
+export function createHttpFetcher({ timeoutMs = FETCH_TIMEOUT_MS, maxBytes = IMAGE_MAX_BYTES } = {}) {
+  return {
+    async fetch(url, { etag, lastModified } = {}) {
+      const headers = { accept: IMAGE_TYPES.join(', ') };
+      if (etag) headers['if-none-match'] = etag;
+      if (lastModified) headers['if-modified-since'] = lastModified;
+      const signal = AbortSignal.timeout(timeoutMs);
+
+      let target = url;
+      for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const res = await request(imageUrl(target), headers, signal);
+        const status = res.statusCode;
+        if (status >= 300 && status < 400 && status !== 304) {
+          res.resume();
+          if (!res.headers.location) break;
+          target = new URL(res.headers.location, target).href;
+          continue;
+        }
+        if (status === 304) {
+          res.resume();
+          return { status: 304 };
+        }
+        if (status < 200 || status >= 300) {
+          res.resume();
+          throw fail('image_fetch_failed', { status });
+        }
+
+        if (Number(res.headers['content-length']) > maxBytes) {
+          res.destroy();
+          throw fail('image_too_large', { max: maxBytes });
+        }
+        return {
+          status: 200,
+          contentType: res.headers['content-type'],
+          body: await readCapped(res, maxBytes),
+          etag: res.headers.etag,
+          lastModified: res.headers['last-modified'],
+        };
+      }
+      throw fail('image_fetch_failed', { reason: 'too_many_redirects' });
+    },
+  };
+}
+
+let fetcher = createHttpFetcher();
+
+export function setImageFetcher(next) {
+  fetcher = next;
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Resizers                                 */
+/* ------------------------------------------------------------------ */
+export function createSharpResizer() {
+  return {
+    async resize(buffer, { width }) {
+      // GIFs keep their first frame only; the format stays the same
+      return sharp(buffer).resize({ width, withoutEnlargement: true }).toBuffer();
+    },
+  };
+}
+
+let resizer = createSharpResizer();
+
+export function setImageResizer(next) {
+  resizer = next;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             Cache                                   */
+/* ------------------------------------------------------------------ */
+const keyOf = (url) => crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+const dirOf = (key) => path.join(CACHE_DIR, key.slice(0, 2), key);
+
+async function readMeta(key) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dirOf(key), 'meta.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/** Write to a temp name first so readers never see half a file */
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+/** Checked fetch result -> stored original (under its hash) -> meta */
+async function store(url, key, got) {
+  const contentType = baseType(got.contentType);
+  if (!SIGNATURES[contentType]) throw fail('unsupported_image_type', { contentType: contentType || null });
+  const body = got.body ?? Buffer.alloc(0);
+  if (body.length > IMAGE_MAX_BYTES) throw fail('image_too_large', { max: IMAGE_MAX_BYTES });
+  if (!SIGNATURES[contentType](body)) throw fail('unsupported_image_type', { contentType });
+
+  const dir = dirOf(key);
+  const hash = crypto.createHash('sha1').update(body).digest('hex');
+  await fs.mkdir(dir, { recursive: true });
+  await writeAtomic(path.join(dir, hash), body);
+  const meta = {
+    url,
+    contentType,
+    bytes: body.length,
+    hash,
+    etag: got.etag ?? null,
+    lastModified: got.lastModified ?? null,
+    fetchedAt: new Date().toISOString(),
+  };
+  await writeAtomic(path.join(dir, 'meta.json'), JSON.stringify(meta));
+  scheduleSweep();
+  return meta;
+}
+
+/* ------------------------------------------------------------------ */
+/*                             Sweep                                   */
+/* ------------------------------------------------------------------ */
+// An entry (one URL's directory) counts as used when its mtime is bumped
+// by loadImage; the least recently used go first.
+async function cacheEntries() {
+  const entries = [];
+  for (const shard of await fs.readdir(CACHE_DIR).catch(() => [])) {
+    for (const key of await fs.readdir(path.join(CACHE_DIR, shard)).catch(() => [])) {
+      const dir = path.join(CACHE_DIR, shard, key);
+      const stat = await fs.stat(dir).catch(() => null);
+      if (!stat?.isDirectory()) continue;
+      const files = [];
+      for (const name of await fs.readdir(dir).catch(() => [])) {
+        const f = await fs.stat(path.join(dir, name)).catch(() => null);
+        if (f?.isFile()) files.push({ name, bytes: f.size, mtimeMs: f.mtimeMs });
+      }
+      entries.push({ key, dir, usedMs: stat.mtimeMs, files });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Drop the files of replaced originals (once ORPHAN_GRACE_MS old), then
+ * whole entries, least recently used first, until the cache fits in
+ * CACHE_MAX_BYTES -> { removedFiles, removedEntries, bytes }
+ */
+export async function sweepImageCache() {
+  let removedFiles = 0;
+  let removedEntries = 0;
+  const entries = await cacheEntries();
+  for (const e of entries) {
+    const meta = await readMeta(e.key);
+    const keep = (f) => f.name === 'meta.json' || (meta && f.name.startsWith(meta.hash))
+      || Date.now() - f.mtimeMs < ORPHAN_GRACE_MS;
+    for (const f of e.files.filter((f) => !keep(f))) {
+      await fs.rm(path.join(e.dir, f.name), { force: true });
+      removedFiles++;
+    }
+    e.bytes = e.files.filter(keep).reduce((acc, f) => acc + f.bytes, 0);
+  }
+
+  let bytes = entries.reduce((acc, e) => acc + e.bytes, 0);
+  for (const e of entries.sort((a, b) => a.usedMs - b.usedMs)) {
+    if (bytes <= CACHE_MAX_BYTES) break;
+    await fs.rm(e.dir, { recursive: true, force: true });
+    bytes -= e.bytes;
+    removedEntries++;
+  }
+  return { removedFiles, removedEntries, bytes };
+}
+
+let lastSweep = 0;
+let sweeping = null;
+
+/** Sweep after a store, at most once per SWEEP_INTERVAL_MS */
+function scheduleSweep() {
+  if (sweeping || Date.now() - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = Date.now();
+  sweeping = sweepImageCache()
+    .catch((e) => console.error('[image] cache sweep failed:', e.message))
+    .finally(() => { sweeping = null; });
+}
+
+async function fetchAndStore(url, key, previous = null) {
+  let got;
+  try {
+    got = await fetcher.fetch(url, { etag: previous?.etag, lastModified: previous?.lastModified });
+  } catch (e) {
+    if (['image_too_large', 'invalid_image_url', 'image_fetch_failed'].includes(e.message)) throw e;
+    const timedOut = e.name === 'TimeoutError' || e.cause?.name === 'TimeoutError';
+    throw fail('image_fetch_failed', { reason: timedOut ? 'timeout' : 'network' });
+  }
+  if (got.status === 304 && previous) {
+    const meta = { ...previous, fetchedAt: new Date().toISOString() };
+    await writeAtomic(path.join(dirOf(key), 'meta.json'), JSON.stringify(meta));
+    return meta;
+  }
+  return store(url, key, got);
+}
+
+// One fetch per URL at a time, whether for a first request or a refresh
+const inFlight = new Map();
+
+function fetchOnce(url, key, previous) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetchAndStore(url, key, previous).finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+/** Smallest allowed width >= asked (the largest for anything bigger) */
+export function thumbWidth(asked) {
+  return THUMB_WIDTHS.find((w) => w >= asked) ?? THUMB_WIDTHS[THUMB_WIDTHS.length - 1];
+}
+
+/**
+ * Image for a picWebsite URL, optionally as a `width`-pixel thumbnail
+ * -> { body, contentType, etag, fetchedAt, width|null, stale }.
+ * Errors: invalid_image_url, image_fetch_failed { status?, reason? },
+ * unsupported_image_type { contentType }, image_too_large { max }.
+ * A failed refresh of a stale copy is logged, and the copy kept.
+ */
+export async function loadImage(url, { width = null } = {}) {
+  const key = keyOf(url);
+  const dir = dirOf(key);
+  let meta = await readMeta(key);
+  // Swept, or cached before originals were named after their hash
+  let original = meta && await fs.readFile(path.join(dir, meta.hash)).catch(() => null);
+  let stale = false;
+  if (!original) {
+    meta = await fetchOnce(url, key, null);
+    original = await fs.readFile(path.join(dir, meta.hash));
+  } else if (Date.now() - Date.parse(meta.fetchedAt) > TTL_MS) {
+    stale = true;
+    fetchOnce(url, key, meta).catch((e) => console.error(`[image] refresh ${url} failed:`, e.message));
+  }
+  const now = new Date();
+  fs.utimes(dir, now, now).catch(() => {}); // last used, for the sweep
+
+  const base = { contentType: meta.contentType, fetchedAt: meta.fetchedAt, stale };
+  if (!width) return { ...base, body: original, etag: `"${meta.hash}"`, width: null };
+
+  // Named after the original it was made from, whatever a refresh does meanwhile
+  const w = thumbWidth(width);
+  const file = path.join(dir, `${meta.hash}-w${w}`);
+  let thumb = await fs.readFile(file).catch(() => null);
+  if (!thumb) {
+    thumb = await resizer.resize(original, { width: w, contentType: meta.contentType });
+    if (!thumb) return { ...base, body: original, etag: `"${meta.hash}"`, width: null };
+    await writeAtomic(file, thumb).catch((e) => console.error('[image] thumbnail write failed:', e.message));
+  }
+  return { ...base, body: thumb, etag: `"${meta.hash}-w${w}"`, width: w };
+}
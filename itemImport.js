@@ -0,0 +1,331 @@
+// itemImport.js (ESM)
+// CSV import for the item catalog (POST /api/items/import). The file is
+// parsed, its columns mapped onto item fields, and every row checked against
+// the file and the catalog; the resulting report drives both the dry run and
+// the commit (which inserts the accepted rows through routes/items.mjs).
+// Duplicates are rows with the same normalized name + brand + canonical
+// quantity (1 pint == 568ml), in the file or among live items.
+import { pool } from './db.js';
+import { normalizeText } from './itemMatch.js';
+import { canonQty } from './quantity.js';
+import { normalizeGtin, displayGtin } from './barcode.js';
+import { categoryIdFrom, categoryForText } from './categories.js';
+
+export const MAX_IMPORT_ROWS = Number(process.env.ITEM_IMPORT_MAX_ROWS ?? 5000);
+const CATALOG_PAGE = 5000;
+
+// Column sizes of item.id / item.name, checked per row so a commit can't
+// fail on the insert after a clean dry run
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 255;
+
+// Item fields a column can map to. barcodes holds one or more codes split
+// on ; or |; category is free text resolved to a node like itemInput's.
+export const IMPORT_FIELDS = [
+  'id', 'name', 'brand', 'quantity', 'feature', 'productColor', 'picWebsite', 'categoryID', 'category', 'barcodes',
+];
+
+// Header spellings recognized without an explicit mapping (normalized)
+const HEADER_ALIASES = {
+  id: ['id', 'item id', 'itemid'],
+  name: ['name', 'item', 'item name', 'product', 'product name', 'description'],
+  brand: ['brand', 'brand name', 'manufacturer'],
+  quantity: ['quantity', 'qty', 'size', 'pack size', 'volume', 'weight'],
+  feature: ['feature', 'features', 'variant', 'flavour', 'flavor'],
+  productColor: ['productcolor', 'product color', 'product colour', 'colour', 'color'],
+  picWebsite: ['picwebsite', 'pic website', 'image', 'image url', 'picture', 'photo'],
+  categoryID: ['categoryid', 'category id'],
+  category: ['category', 'category name'],
+  barcodes: ['barcode', 'barcodes', 'ean', 'gtin', 'upc'],
+};
+
+/* ------------------------------------------------------------------ */
+/*                              CSV                                    */
+/* ------------------------------------------------------------------ */
+/** Most frequent of , ; tab in the first line (outside quotes) */
+function sniffDelimiter(text) {
+  const line = text.slice(0, text.search(/\r?\n|$/));
+  const counts = { ',': 0, ';': 0, '\t': 0 };
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  const [best, n] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return n ? best : ',';
+}
+
+/**
+ * CSV text -> array of records (arrays of strings). RFC 4180 quoting ("" is
+ * a quote, fields may span lines), CRLF or LF, a leading BOM is dropped and
+ * blank lines are skipped. The delimiter (, ; or tab) is taken from the
+ * header line unless given. Throws Error('invalid_csv') { line } on an
+ * unterminated quote. Pure.
+ */
+export function parseCsv(text, delimiter = null) {
+  const s = String(text ?? '').replace(/^\uFEFF/, '');
+  const sep = delimiter ?? sniffDelimiter(s);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let quoteLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === '"' && field.trim() === '') {
+      quoted = true;
+      quoteLine = line;
+      field = '';
+    } else if (ch === sep) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw Object.assign(new Error('invalid_csv'), { line: quoteLine });
+  if (field !== '' || record.length) endRecord();
+  return records;
+}
+
+/* ------------------------------------------------------------------ */
+/*                           Column mapping                            */
+/* ------------------------------------------------------------------ */
+/**
+ * Headers + optional { field: header } mapping -> { columns: { field: index },
+ * mapping: { field: header }, ignored: [headers] }. Explicit entries win;
+ * other fields are matched by HEADER_ALIASES. Throws Error('invalid_mapping')
+ * { field } for an unknown field and Error('column_not_found') { field, header }
+ * for a header the file doesn't have.
+ */
+export function mapColumns(headers, mapping = {}) {
+  const norm = headers.map((h) => normalizeText(h));
+  const columns = {};
+  for (const [field, header] of Object.entries(mapping ?? {})) {
+    if (!IMPORT_FIELDS.includes(field)) throw Object.assign(new Error('invalid_mapping'), { field });
+    if (header == null || header === '') continue; // explicitly unmapped
+    const i = norm.indexOf(normalizeText(header));
+    if (i < 0) throw Object.assign(new Error('column_not_found'), { field, header: String(header) });
+    columns[field] = i;
+  }
+  for (const field of IMPORT_FIELDS) {
+    if (field in columns || field in (mapping ?? {})) continue;
+    const i = norm.findIndex((h, k) => HEADER_ALIASES[field].includes(h) && !Object.values(columns).includes(k));
+    if (i >= 0) columns[field] = i;
+  }
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    mapping: Object.fromEntries(Object.entries(columns).map(([f, i]) => [f, headers[i]])),
+    ignored: headers.filter((_, i) => !used.has(i)),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Validation                               */
+/* ------------------------------------------------------------------ */
+const tidy = (v) => (v == null ? null : String(v).trim() || null);
+
+/** Normalized name + brand + quantity rounded in base units (like itemDuplicates.js blocks) */
+export function duplicateKey({ name, brand, quantity }) {
+  const q = canonQty(quantity);
+  const qty = q ? `${q.count > 1 ? `${q.count}x` : ''}${Math.round(q.value)}${q.unit}` : normalizeText(quantity);
+  return `${normalizeText(name)}|${normalizeText(brand)}|${qty}`;
+}
+
+/**
+ * Live items whose normalizeText(name) matches one of `names`. SQL can't
+ * apply that normalization ("Coca-Cola" vs "coca cola"), so the catalog is
+ * read in keyset pages, the way itemDuplicates.js reads it, and filtered here.
+ */
+async function catalogByName(names) {
+  const wanted = new Set(names.map((n) => normalizeText(n)));
+  const out = [];
+  let after = '';
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT id, name, brand, quantity
+         FROM item
+        WHERE deletedAt IS NULL AND id > ?
+        ORDER BY id ASC
+        LIMIT ?`,
+      [after, CATALOG_PAGE]
+    );
+    out.push(...rows.filter((r) => wanted.has(normalizeText(r.name))));
+    if (rows.length < CATALOG_PAGE) return out;
+    after = String(rows[rows.length - 1].id);
+  }
+}
+
+async function takenIds(ids) {
+  if (!ids.length) return new Set();
+  const [rows] = await pool.query('SELECT id FROM item WHERE id IN (?)', [ids]);
+  return new Set(rows.map((r) => String(r.id)));
+}
+
+async function takenBarcodes(gtins) {
+  if (!gtins.length) return new Map();
+  const [rows] = await pool.query('SELECT gtin, itemID FROM itemBarcode WHERE gtin IN (?)', [gtins]);
+  return new Map(rows.map((r) => [String(r.gtin), String(r.itemID)]));
+}
+
+/**
+ * CSV text -> { report, rows }.
+ *   report: { columns: { mapping, ignored }, totals, rows: [{ row, status:
+ *     'ok' | 'duplicate' | 'error', id, errors: [{ field, error, ... }],
+ *     warnings: [...], duplicateOf?: { itemID } | { row } }] }
+ *   rows:   [{ row, status, item }] with `item` as routes/items.mjs inserts it
+ * `row` is the 1-based record number, the header being row 1. Generated ids
+ * (`newId`) are only a preview on a dry run. Throws invalid_csv { line },
+ * csv_empty, too_many_rows { max }, invalid_mapping { field },
+ * column_not_found { field, header } and name_column_required /
+ * quantity_column_required.
+ */
+export async function buildImport(text, { mapping = {}, newId }) {
+  const records = parseCsv(text);
+  if (records.length < 2) throw new Error('csv_empty');
+  if (records.length - 1 > MAX_IMPORT_ROWS) throw Object.assign(new Error('too_many_rows'), { max: MAX_IMPORT_ROWS });
+
+  const [headers, ...data] = records;
+  const { columns, mapping: used, ignored } = mapColumns(headers.map((h) => h.trim()), mapping);
+  if (columns.name == null) throw new Error('name_column_required');
+  if (columns.quantity == null) throw new Error('quantity_column_required');
+  const cell = (rec, field) => (columns[field] == null ? null : tidy(rec[columns[field]]));
+
+  // First pass: per-row parsing
+  const categoryCache = new Map();
+  const rows = [];
+  for (const [k, rec] of data.entries()) {
+    const errors = [];
+    const warnings = [];
+    const item = {
+      id: cell(rec, 'id'),
+      name: cell(rec, 'name'),
+      brand: cell(rec, 'brand'),
+      quantity: cell(rec, 'quantity'),
+      feature: cell(rec, 'feature'),
+      productColor: cell(rec, 'productColor'),
+      picWebsite: cell(rec, 'picWebsite'),
+      categoryID: null,
+      gtins: [],
+    };
+    if (!item.name) errors.push({ field: 'name', error: 'name_required' });
+    else if (item.name.length > MAX_NAME_LENGTH) {
+      errors.push({ field: 'name', error: 'name_too_long', max: MAX_NAME_LENGTH });
+    }
+    if (item.id && item.id.length > MAX_ID_LENGTH) {
+      errors.push({ field: 'id', error: 'id_too_long', max: MAX_ID_LENGTH });
+    }
+    if (!item.quantity) errors.push({ field: 'quantity', error: 'quantity_required' });
+    else if (!canonQty(item.quantity)) {
+      warnings.push({ field: 'quantity', warning: 'quantity_not_parsed' });
+    }
+    if (item.picWebsite && !/^https?:\/\//i.test(item.picWebsite)) {
+      errors.push({ field: 'picWebsite', error: 'invalid_url' });
+    }
+
+    for (const code of (cell(rec, 'barcodes') ?? '').split(/[;|]/).map((c) => c.trim()).filter(Boolean)) {
+      const gtin = normalizeGtin(code);
+      if (!gtin) errors.push({ field: 'barcodes', error: 'invalid_barcode', barcode: code });
+      else if (!item.gtins.includes(gtin)) item.gtins.push(gtin);
+    }
+
+    try {
+      item.categoryID = categoryIdFrom(cell(rec, 'categoryID'));
+    } catch {
+      errors.push({ field: 'categoryID', error: 'category_not_found', categoryID: cell(rec, 'categoryID') });
+    }
+    const categoryText = cell(rec, 'category');
+    if (item.categoryID == null && categoryText) {
+      if (!categoryCache.has(categoryText.toLowerCase())) {
+        categoryCache.set(categoryText.toLowerCase(), await categoryForText(categoryText));
+      }
+      item.categoryID = categoryCache.get(categoryText.toLowerCase());
+      if (item.categoryID == null) warnings.push({ field: 'category', warning: 'category_not_mapped', category: categoryText });
+    }
+    rows.push({ row: k + 2, item, errors, warnings });
+  }
+
+  // Second pass: clashes within the file and with the catalog
+  const givenIds = rows.map((r) => r.item.id).filter(Boolean);
+  const allGtins = [...new Set(rows.flatMap((r) => r.item.gtins))];
+  const categoryIDs = [...new Set(rows.map((r) => r.item.categoryID).filter((id) => id != null))];
+  const [idsTaken, gtinsTaken, catalog, knownCategories] = await Promise.all([
+    takenIds(givenIds),
+    takenBarcodes(allGtins),
+    catalogByName(rows.map((r) => r.item.name).filter(Boolean)),
+    categoryIDs.length
+      ? pool.query('SELECT id FROM category WHERE id IN (?)', [categoryIDs]).then(([r]) => new Set(r.map((c) => Number(c.id))))
+      : new Set(),
+  ]);
+  const existing = new Map();
+  for (const it of catalog) {
+    const key = duplicateKey(it);
+    if (!existing.has(key)) existing.set(key, String(it.id));
+  }
+
+  const seenIds = new Map();
+  const seenGtins = new Map();
+  const seenKeys = new Map();
+  for (const r of rows) {
+    const { item, errors } = r;
+    if (item.id) {
+      if (idsTaken.has(item.id)) errors.push({ field: 'id', error: 'duplicate_id' });
+      else if (seenIds.has(item.id)) errors.push({ field: 'id', error: 'duplicate_id', row: seenIds.get(item.id) });
+      else seenIds.set(item.id, r.row);
+    }
+    for (const g of item.gtins) {
+      if (gtinsTaken.has(g)) {
+        errors.push({ field: 'barcodes', error: 'barcode_in_use', barcode: displayGtin(g), itemID: gtinsTaken.get(g) });
+      } else if (seenGtins.has(g)) {
+        errors.push({ field: 'barcodes', error: 'barcode_in_use', barcode: displayGtin(g), row: seenGtins.get(g) });
+      } else {
+        seenGtins.set(g, r.row);
+      }
+    }
+    if (item.categoryID != null && !knownCategories.has(item.categoryID)) {
+      errors.push({ field: 'categoryID', error: 'category_not_found', categoryID: item.categoryID });
+    }
+
+    if (item.name && item.quantity) {
+      const key = duplicateKey(item);
+      if (existing.has(key)) r.duplicateOf = { itemID: existing.get(key) };
+      else if (seenKeys.has(key)) r.duplicateOf = { row: seenKeys.get(key) };
+      else if (!errors.length) seenKeys.set(key, r.row);
+    }
+    item.id = item.id || newId();
+    r.status = errors.length ? 'error' : r.duplicateOf ? 'duplicate' : 'ok';
+  }
+
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const report = {
+    columns: { mapping: used, ignored },
+    totals: { rows: rows.length, ok: count('ok'), duplicates: count('duplicate'), errors: count('error') },
+    rows: rows.map(({ row, status, item, errors, warnings, duplicateOf }) => ({
+      row,
+      status,
+      id: item.id,
+      errors,
+      warnings,
+      ...(duplicateOf && { duplicateOf }),
+    })),
+  };
+  return { report, rows: rows.map(({ row, status, item }) => ({ row, status, item })) };
+}
@@ -0,0 +1,210 @@
+// itemMatch.js (ESM)
+// Text matching + relevance scoring for `item` rows (search, resolve).
+// Pure functions, no DB access: callers fetch candidate rows and rank them here.
+import { canonQty, sameQty } from './quantity.js';
+
+/* ------------------------------------------------------------------ */
+/*                          Tokenization                               */
+/* ------------------------------------------------------------------ */
+/** "Coca-Cola Zero® 1.5L" -> "coca cola zero 1.5l" (accents, symbols, case folded) */
+export function normalizeText(s) {
+  return String(s ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .replace(/(?<!\d)\.|\.(?!\d)/g, ' ') // keep dots only inside numbers
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function tokenize(s) {
+  const t = normalizeText(s);
+  return t ? t.split(' ') : [];
+}
+
+/**
+ * Split a free-text query into words and a quantity:
+ *   "cocacola 330 ml" -> { text: ['cocacola'], qty: { value: 330, unit: 'ml' }, number: null }
+ *   "cocacola 330"    -> { text: ['cocacola'], qty: null, number: 330 }
+ *   "yogurt 4 x 125g" -> { text: ['yogurt'], qty: { value: 500, unit: 'g', count: 4, ... }, number: null }
+ */
+export function parseQuery(q) {
+  const tokens = tokenize(q);
+  const text = [];
+  let qty = null;
+  let number = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const glued = /^\d/.test(t) ? canonQty(t) : null;
+    if (glued) { qty ??= glued; continue; }
+
+    if (/^\d+(?:\.\d+)?$/.test(t)) {
+      // "4 x 125g" / "4 x 125 g" (multipack), then "330 ml"
+      const multi = tokens[i + 1] === 'x' && /^\d/.test(tokens[i + 2] ?? '')
+        ? [4, 3].map((n) => [n, canonQty(tokens.slice(i, i + n).join(' '))]).find(([, q]) => q?.count > 1)
+        : null;
+      if (multi) { qty ??= multi[1]; i += multi[0] - 1; continue; }
+      const spaced = i + 1 < tokens.length ? canonQty(t + tokens[i + 1]) : null;
+      if (spaced) { qty ??= spaced; i++; continue; }
+      number ??= Number(t);
+      continue;
+    }
+    text.push(t);
+  }
+  return { text, qty, number };
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Token Matching                             */
+/* ------------------------------------------------------------------ */
+/**
+ * Optimal-string-alignment distance (edits + adjacent swaps), giving up once
+ * it exceeds `max` -> max + 1.
+ */
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur[j] = v;
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a query word of this length
+const allowedEdits = (len) => (len >= 8 ? 2 : len >= 4 ? 1 : 0);
+
+/**
+ * How well one query word matches a field, 0..1:
+ *   1 exact word · 0.95 whole field without spaces ("cocacola" ~ "Coca-Cola")
+ *   0.8 word prefix · 0.75 inside the joined field · 0.7/0.6 one/two typos
+ */
+export function tokenMatch(qt, fieldTokens, compact = fieldTokens.join('')) {
+  if (!qt || fieldTokens.length === 0) return 0;
+  const numeric = /^\d/.test(qt);
+  let best = 0;
+
+  for (const ft of fieldTokens) {
+    if (ft === qt) return 1;
+    if (numeric) continue;
+    if (qt.length >= 2 && ft.startsWith(qt)) best = Math.max(best, 0.8);
+    const max = allowedEdits(qt.length);
+    if (max && best < 0.7) {
+      const d = editDistance(qt, ft, max);
+      if (d <= max) best = Math.max(best, 0.8 - 0.1 * d);
+    }
+  }
+  if (numeric || qt.length < 4 || fieldTokens.length < 2) return best;
+
+  if (compact === qt) return 0.95;
+  if (compact.includes(qt)) best = Math.max(best, 0.75);
+  const max = allowedEdits(qt.length);
+  if (best < 0.6 && editDistance(qt, compact, max) <= max) best = 0.6;
+  return best;
+}
+
+/* ------------------------------------------------------------------ */
+/*                            Scoring                                  */
+/* ------------------------------------------------------------------ */
+// Per matched query word; name beats brand beats features
+export const FIELD_WEIGHTS = { name: 3, brand: 2, feature: 1, productColor: 0.5, quantity: 1 };
+const BRAND_BOOST = 2;    // every brand word is in the query
+const QTY_BONUS = 2;      // same quantity (unit-aware, via sameQty)
+const NUMBER_BONUS = 1.5; // bare number equals the item's quantity value
+const PHRASE_BONUS = 1;   // name starts with the query words in order
+
+// `field` (search ?field=) -> which item columns take part
+const FIELDS_FOR = {
+  all: ['name', 'brand', 'feature', 'productColor'],
+  name: ['name'],
+  brand: ['brand'],
+  feature: ['feature'],
+  productcolor: ['productColor'],
+  quantity: ['quantity'],
+};
+
+function fieldsOf(item, names) {
+  return names.map((name) => {
+    const tokens = tokenize(name === 'feature' ? String(item.feature ?? '').replace(/,/g, ' ') : item[name]);
+    return { name, tokens, compact: tokens.join(''), weight: FIELD_WEIGHTS[name] };
+  });
+}
+
+/**
+ * Relevance of one item row to a parsed query (parseQuery) -> null when it
+ * doesn't match, else { score: 0..1, matched, of }.
+ * An item must match at least half the query words; quantity never filters
+ * (items without a parseable quantity still show), it only moves ranking.
+ */
+export function scoreItem(parsed, item, { field = 'all' } = {}) {
+  const fields = fieldsOf(item, FIELDS_FOR[field] ?? FIELDS_FOR.all);
+  const qtyAware = field === 'all' || field === 'quantity';
+
+  let raw = 0;
+  let max = 0;
+  let matched = 0;
+
+  for (const qt of parsed.text) {
+    let best = 0;
+    for (const f of fields) {
+      const m = tokenMatch(qt, f.tokens, f.compact);
+      best = Math.max(best, m * f.weight);
+    }
+    if (best > 0) matched++;
+    raw += best;
+    max += FIELD_WEIGHTS.name;
+  }
+
+  if (parsed.text.length) {
+    if (matched < Math.ceil(parsed.text.length / 2)) return null;
+    max += PHRASE_BONUS;
+    if (normalizeText(item.name).startsWith(parsed.text.join(' '))) raw += PHRASE_BONUS;
+  }
+
+  const brand = fields.find((f) => f.name === 'brand');
+  if (brand && brand.tokens.length && parsed.text.length) {
+    max += BRAND_BOOST;
+    const joined = parsed.text.join('');
+    const named = brand.tokens.every((bt) => parsed.text.some((qt) => tokenMatch(qt, [bt], bt) >= 0.7))
+      || (brand.compact.length >= 4 && joined.includes(brand.compact));
+    if (named) raw += BRAND_BOOST;
+  }
+
+  let qtyHit = false;
+  if (qtyAware && (parsed.qty || parsed.number != null)) {
+    const itemQty = canonQty(item.quantity);
+    if (parsed.qty) {
+      max += QTY_BONUS;
+      if (itemQty && sameQty(parsed.qty, itemQty)) { raw += QTY_BONUS; qtyHit = true; }
+      else if (itemQty) raw -= itemQty.unit === parsed.qty.unit ? 0.5 : 1;
+    } else {
+      max += NUMBER_BONUS;
+      const shown = parseFloat(String(item.quantity ?? ''));
+      if (shown === parsed.number || (itemQty && Math.abs(itemQty.value - parsed.number) < 0.5)) {
+        raw += NUMBER_BONUS;
+        qtyHit = true;
+      }
+    }
+  }
+  // A quantity-only query ("330ml") has to match on quantity
+  if (!parsed.text.length && !qtyHit) return null;
+
+  const score = max > 0 ? Math.max(0, Math.min(1, raw / max)) : 0;
+  return { score: Math.round(score * 1000) / 1000, matched, of: parsed.text.length };
+}
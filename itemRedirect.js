@@ -0,0 +1,54 @@
+// itemRedirect.js (ESM)
+// Ids of items merged into another one (table: itemRedirect, see
+// sql/009_item_lifecycle.sql), so clients holding an old id still find the item.
+import { pool } from './db.js';
+
+/** ids -> Map(oldID -> survivingID) for the ids that were merged away (survivor live or not) */
+export async function redirectsFor(ids, conn = pool) {
+  const map = new Map();
+  if (!ids.length) return map;
+  const [rows] = await conn.query(
+    'SELECT fromID, toID FROM itemRedirect WHERE fromID IN (?)',
+    [ids.map(String)]
+  );
+  for (const r of rows) map.set(String(r.fromID), String(r.toID));
+  return map;
+}
+
+/**
+ * redirectsFor, leaving out surviving items that were soft-deleted since
+ * the merge: an old id then is as gone as its survivor.
+ */
+export async function liveRedirectsFor(ids, conn = pool) {
+  const map = new Map();
+  if (!ids.length) return map;
+  const [rows] = await conn.query(
+    `SELECT r.fromID, r.toID
+       FROM itemRedirect r
+       JOIN item i ON i.id = r.toID AND i.deletedAt IS NULL
+      WHERE r.fromID IN (?)`,
+    [ids.map(String)]
+  );
+  for (const r of rows) map.set(String(r.fromID), String(r.toID));
+  return map;
+}
+
+/**
+ * Point fromIDs (and anything already redirected to them) at toID.
+ * Must run inside the merge transaction (`conn`).
+ */
+export async function addRedirects(conn, fromIDs, toID, userID = null) {
+  await conn.query('UPDATE itemRedirect SET toID = ? WHERE toID IN (?)', [toID, fromIDs]);
+  await conn.query(
+    `INSERT INTO itemRedirect (fromID, toID, mergedBy) VALUES ?
+     ON DUPLICATE KEY UPDATE toID = VALUES(toID), mergedBy = VALUES(mergedBy), mergedAt = CURRENT_TIMESTAMP`,
+    [fromIDs.map((id) => [id, toID, userID])]
+  );
+}
+
+/** Drop the redirects of ids that are live again (item revert) */
+export async function removeRedirects(conn, fromIDs) {
+  if (!fromIDs.length) return 0;
+  const [r] = await conn.query('DELETE FROM itemRedirect WHERE fromID IN (?)', [fromIDs.map(String)]);
+  return r.affectedRows;
+}
@@ -0,0 +1,149 @@
+// itemResolve.js (ESM)
+// Free-text item -> ranked catalog candidates for POST /api/item/resolve-by-item.
+// Each candidate gets a 0..1 confidence from four signals; exactId is only set
+// when the best one is both confident and clearly ahead of the runner-up.
+// A known barcode wins outright, then remembered choices (itemAlias.js).
+import { pool } from './db.js';
+import { parseQuery, tokenize, tokenMatch } from './itemMatch.js';
+import { qtyCloseness } from './quantity.js';
+import { candidateRows } from './itemSearch.js';
+import { aliasMatches, withAliases } from './itemAlias.js';
+import { itemByGtin } from './barcode.js';
+
+const EXACT_THRESHOLD = Number(process.env.RESOLVE_EXACT_THRESHOLD ?? 0.85);
+const EXACT_MARGIN = Number(process.env.RESOLVE_EXACT_MARGIN ?? 0.05);
+const MAX_CANDIDATES = 50;
+
+// Relative weight of each signal; signals with nothing to compare are left
+// out and the rest re-normalized, so a bare item name can still reach 1.
+const WEIGHTS = { text: 0.5, brand: 0.2, quantity: 0.15, history: 0.15 };
+
+// Selections needed for the history signal to saturate (own picks count triple)
+const HISTORY_SATURATION = 5;
+const OWN_PICK_WEIGHT = 3;
+
+/** Best match of each `words` entry against `tokens`, averaged -> 0..1 */
+function coverage(words, tokens) {
+  if (!words.length || !tokens.length) return 0;
+  const compact = tokens.join('');
+  const sum = words.reduce((acc, w) => acc + tokenMatch(w, tokens, compact), 0);
+  return sum / words.length;
+}
+
+/**
+ * Token overlap both ways: how much of the typed text the candidate explains
+ * (name first, features at half weight) and how much of the name was typed.
+ */
+function textSignal(words, c) {
+  const name = tokenize(c.name);
+  const extra = tokenize(`${c.feature} ${c.productColor}`.replace(/,/g, ' '));
+  const recall = words.length
+    ? words.reduce((acc, w) => acc + Math.max(tokenMatch(w, name), 0.5 * tokenMatch(w, extra)), 0) / words.length
+    : 0;
+  const precision = coverage(name, words);
+  return 0.7 * recall + 0.3 * precision;
+}
+
+/** Explicit brand vs candidate brand, else "is the brand named in the text?" */
+function brandSignal(brand, words, c) {
+  const candBrand = tokenize(c.brand);
+  if (!candBrand.length) return null;
+  if (brand) return coverage(tokenize(brand), candBrand);
+  // Only a hint when the text actually names this brand; otherwise no signal
+  const named = coverage(candBrand, words);
+  return named >= 0.7 ? named : null;
+}
+
+/** itemID -> { total, mine } selections recorded in itemInput for this text */
+async function selectionCounts(rawItem, ids, userID) {
+  if (!ids.length) return new Map();
+  const [rows] = await pool.query(
+    `SELECT itemID,
+            COUNT(*) AS total,
+            SUM(CASE WHEN userID = ? THEN 1 ELSE 0 END) AS mine
+       FROM itemInput
+      WHERE LOWER(TRIM(itemName)) = ?
+        AND itemID IN (?)
+      GROUP BY itemID`,
+    [userID ?? null, rawItem.trim().toLowerCase(), ids]
+  );
+  return new Map(rows.map((r) => [String(r.itemID), { total: Number(r.total), mine: Number(r.mine ?? 0) }]));
+}
+
+/** Weighted mean of the signals that are present (non-null) */
+function combine(signals) {
+  let sum = 0;
+  let weight = 0;
+  for (const [k, v] of Object.entries(signals)) {
+    if (v == null) continue;
+    sum += WEIGHTS[k] * v;
+    weight += WEIGHTS[k];
+  }
+  return weight ? Math.round((sum / weight) * 1000) / 1000 : 0;
+}
+
+/**
+ * resolveByItem({ item, brand?, quantity?, gtin?, userID? })
+ *  -> { exactId, matchedBy: 'barcode'|'alias'|'score'|null, threshold,
+ *       candidates: [{ ...item, confidence, signals, aliasPicks? }] }
+ * `quantity` is a string or { value, unit }; when absent a quantity typed in
+ * `item` ("cola 330ml") is used. Aliased items come first, the rest by
+ * confidence (null for an aliased item the matcher didn't find itself).
+ * `gtin` is a normalized GTIN-14 (barcode.js); `item` may be empty with it.
+ */
+export async function resolveByItem({ item, brand = null, quantity = null, gtin = null, userID = null }) {
+  const byCode = gtin ? await itemByGtin(gtin) : null;
+  const codeHit = byCode && { ...byCode, confidence: 1, signals: { barcode: 1 } };
+  if (!String(item ?? '').trim()) {
+    return {
+      exactId: byCode?.id ?? null,
+      matchedBy: byCode ? 'barcode' : null,
+      threshold: EXACT_THRESHOLD,
+      candidates: codeHit ? [codeHit] : [],
+    };
+  }
+
+  const parsed = parseQuery(item);
+  const words = parsed.text;
+  const wantQty = quantity ?? parsed.qty;
+
+  const rows = await candidateRows(parsed);
+  const counts = await selectionCounts(item, rows.map((r) => r.id), userID);
+
+  const ranked = [];
+  for (const c of rows) {
+    const text = textSignal(words, c);
+    if (text <= 0) continue;
+
+    const seen = counts.get(c.id);
+    const signals = {
+      text: Math.round(text * 1000) / 1000,
+      brand: brandSignal(brand, words, c),
+      quantity: wantQty ? qtyCloseness(wantQty, c.quantity) : null,
+      // Only a signal once someone has picked anything for this text
+      history: counts.size
+        ? Math.min(1, ((seen?.total ?? 0) + (OWN_PICK_WEIGHT - 1) * (seen?.mine ?? 0)) / HISTORY_SATURATION)
+        : null,
+    };
+    ranked.push({ ...c, confidence: combine(signals), signals });
+  }
+  ranked.sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+
+  const [top, next] = ranked;
+  const clear = top
+    && top.confidence >= EXACT_THRESHOLD
+    && (!next || top.confidence - next.confidence >= EXACT_MARGIN);
+
+  const matches = await aliasMatches({ item, brand, quantity, userID });
+  const { candidates, aliasId } = await withAliases(ranked, matches);
+
+  const listed = candidates.map((c) => ('confidence' in c ? c : { ...c, confidence: null, signals: null }));
+
+  return {
+    exactId: byCode?.id ?? aliasId ?? (clear ? top.id : null),
+    matchedBy: byCode ? 'barcode' : aliasId ? 'alias' : clear ? 'score' : null,
+    threshold: EXACT_THRESHOLD,
+    candidates: (codeHit ? [codeHit, ...listed.filter((c) => c.id !== codeHit.id)] : listed)
+      .slice(0, MAX_CANDIDATES),
+  };
+}
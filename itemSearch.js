@@ -0,0 +1,145 @@
+// itemSearch.js (ESM)
+// Ranked item search behind GET /api/items/search (index.js and routes/index.js).
+// MySQL narrows the `item` table to rows sharing a word fragment with the query;
+// itemMatch.js scores those and the page is cut from the ranked list.
+import { pool } from './db.js';
+import { parseQuery, scoreItem } from './itemMatch.js';
+import { compareUnitPrice, withItemUnitPrices } from './unitPrice.js';
+
+// Upper bound on rows pulled from MySQL for one query before ranking
+const CANDIDATE_LIMIT = Number(process.env.SEARCH_CANDIDATE_LIMIT || 2000);
+
+export const SEARCH_FIELDS = ['all', 'name', 'brand', 'quantity', 'feature', 'productcolor'];
+
+const COLUMNS_FOR = {
+  all: ['name', 'brand', 'feature', 'productColor'],
+  name: ['name'],
+  brand: ['brand'],
+  feature: ['feature'],
+  productcolor: ['productColor'],
+  quantity: ['quantity'],
+};
+
+const toItem = (r) => ({
+  id: String(r.id ?? ''),
+  name: String(r.name ?? ''),
+  brand: String(r.brand ?? ''),
+  quantity: String(r.quantity ?? ''),
+  feature: String(r.feature ?? ''),
+  productColor: String(r.productColor ?? ''),
+  picWebsite: String(r.picWebsite ?? ''),
+});
+
+/**
+ * LIKE fragments that any plausible match must contain: short words as-is,
+ * longer ones by their first and last three letters so a typo in the middle
+ * ("cocacolla") or at one end still reaches the scorer.
+ */
+function fragmentsOf(parsed) {
+  const out = new Set();
+  for (const t of parsed.text) {
+    if (t.length <= 3) out.add(t);
+    else { out.add(t.slice(0, 3)); out.add(t.slice(-3)); }
+  }
+  return [...out];
+}
+
+/**
+ * Rows that could match a parsed query (parseQuery), as plain items. Shared
+ * with itemResolve.js. When more than `limit` rows match, the ones sharing the
+ * most fragments with the query are kept (ties by id), so the same query
+ * always gets the same candidates and the likely best matches survive the cut.
+ */
+export async function candidateRows(parsed, { field = 'all', limit = CANDIDATE_LIMIT } = {}) {
+  const columns = COLUMNS_FOR[field] ?? COLUMNS_FOR.all;
+  const where = [];
+  const params = [];
+  for (const frag of fragmentsOf(parsed)) {
+    for (const col of columns) {
+      where.push(`${col} LIKE ?`);
+      params.push(`%${frag}%`);
+    }
+  }
+  if ((parsed.qty || parsed.number != null) && (field === 'all' || field === 'quantity')) {
+    // "330ml", "0.33l" and "330 ml" all share the leading digits of some form
+    const value = parsed.qty ? parsed.qty.value : parsed.number;
+    where.push('quantity LIKE ?', 'quantity LIKE ?');
+    params.push(`%${value}%`, `%${parsed.qty?.unit === 'ml' || parsed.qty?.unit === 'g' ? value / 1000 : value}%`);
+    // Multipacks are usually stored per unit ("6x330ml"), not as the total
+    if (parsed.qty?.count > 1) {
+      where.push('quantity LIKE ?');
+      params.push(`%${parsed.qty.each.value}%`);
+    }
+  }
+  if (!where.length) return [];
+
+  // Each LIKE is 0/1 in MySQL (NULL for a NULL column, hence IFNULL): their
+  // sum is how many fragments a row shares with the query
+  const [rows] = await pool.query(
+    `SELECT id, name, brand, quantity, feature, productColor, picWebsite,
+            ${where.map((w) => `IFNULL(${w}, 0)`).join(' + ')} AS fragmentHits
+       FROM item
+      WHERE deletedAt IS NULL
+     HAVING fragmentHits > 0
+      ORDER BY fragmentHits DESC, id ASC
+      LIMIT ?`,
+    [...params, limit]
+  );
+  return rows.map(toItem);
+}
+
+/**
+ * searchItems({ q, field, limit, offset, unitPrice?, sort? })
+ *  -> { items: [{ ...item, score }], total, totalIsLowerBound, limit, offset, nextOffset }
+ * Empty q lists items alphabetically (score null). `total` counts ranked hits
+ * among the CANDIDATE_LIMIT best candidates (see candidateRows);
+ * totalIsLowerBound is true when that cap was hit and more rows matched.
+ * `unitPrice` adds latestPrice/unitPrice per item; sort 'unitPrice' orders
+ * by it instead of relevance (an empty q then ranks the first CANDIDATE_LIMIT items).
+ */
+export async function searchItems({
+  q = '', field = 'all', limit = 50, offset = 0, unitPrice = false, sort = null,
+} = {}) {
+  const byUnit = sort === 'unitPrice';
+  const page = async (total, items, capped = false) => {
+    const ordered = byUnit ? (await withItemUnitPrices(items)).sort(compareUnitPrice) : items;
+    const slice = byUnit ? ordered.slice(offset, offset + limit) : ordered;
+    const shown = unitPrice && !byUnit ? await withItemUnitPrices(slice) : slice;
+    return {
+      items: shown,
+      total,
+      totalIsLowerBound: capped,
+      limit,
+      offset,
+      nextOffset: offset + shown.length < total ? offset + shown.length : null,
+    };
+  };
+
+  const parsed = parseQuery(q);
+  if (!parsed.text.length && !parsed.qty && parsed.number == null) {
+    const [[{ total }]] = await pool.query('SELECT COUNT(*) AS total FROM item WHERE deletedAt IS NULL');
+    const [rows] = await pool.query(
+      `SELECT id, name, brand, quantity, feature, productColor, picWebsite
+         FROM item
+        WHERE deletedAt IS NULL
+        ORDER BY name ASC, brand ASC
+        LIMIT ? OFFSET ?`,
+      byUnit ? [CANDIDATE_LIMIT, 0] : [limit, offset]
+    );
+    const items = rows.map((r) => ({ ...toItem(r), score: null }));
+    return page(byUnit ? items.length : Number(total), items, byUnit && Number(total) > items.length);
+  }
+
+  // One past the cap tells a full candidate set from a cut one
+  const fetched = await candidateRows(parsed, { field, limit: CANDIDATE_LIMIT + 1 });
+  const rows = fetched.slice(0, CANDIDATE_LIMIT);
+  const hits = [];
+  for (const item of rows) {
+    const s = scoreItem(parsed, item, { field });
+    if (s && s.score > 0) hits.push({ ...item, score: s.score });
+  }
+  hits.sort((a, b) =>
+    b.score - a.score || a.name.localeCompare(b.name) || a.brand.localeCompare(b.brand)
+  );
+  return page(hits.length, byUnit ? hits : hits.slice(offset, offset + limit), fetched.length > CANDIDATE_LIMIT);
+}
@@ -0,0 +1,177 @@
+// keys.js (ESM)
+// Shared key loading + identifier tokenization (same rules as /api/signup in app.js),
+// security-answer hashing for loginTable.secuAns1..3 and AES-GCM field encryption
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+
+/* ------------------------------------------------------------------ */
+/*                          Key Management                             */
+/* ------------------------------------------------------------------ */
+export function loadKeyFromEnv(envName, expectedLen) {
+  const b64 = process.env[envName];
+  if (!b64) throw new Error(`${envName}_missing`);
+  const buf = Buffer.from(b64, 'base64');
+  if (buf.length !== expectedLen) {
+    throw new Error(`${envName}_must_be_${expectedLen}_bytes_base64`);
+  }
+  return buf;
+}
+
+let DET_KEY;
+try {
+  DET_KEY = loadKeyFromEnv('DETERMINISTIC_KEY', 32);
+} catch (e) {
+  console.warn('⚠️ Key load warning:', e.message);
+}
+
+/*
+ * Data (encryption) keys are versioned so they can be rotated:
+ *   DATA_KEY_V1, DATA_KEY_V2, ...   32-byte base64 AES-256 keys
+ *   DATA_KEY_CURRENT=2              version used for new ciphertexts
+ * Old versions stay configured until the re-encryption job has moved every row.
+ */
+const DATA_KEYS = new Map();
+for (const name of Object.keys(process.env)) {
+  const m = name.match(/^DATA_KEY_V(\d+)$/);
+  if (!m) continue;
+  try {
+    DATA_KEYS.set(Number(m[1]), loadKeyFromEnv(name, 32));
+  } catch (e) {
+    console.warn('⚠️ Key load warning:', e.message);
+  }
+}
+const DATA_KEY_CURRENT = Number(process.env.DATA_KEY_CURRENT || Math.max(0, ...DATA_KEYS.keys()));
+if (!DATA_KEYS.has(DATA_KEY_CURRENT)) {
+  console.warn('⚠️ Key load warning:',
+    DATA_KEYS.size ? `DATA_KEY_V${DATA_KEY_CURRENT}_missing` : 'DATA_KEY_missing');
+}
+
+/* ------------------------------------------------------------------ */
+/*                   Deterministic Tokenization                        */
+/* ------------------------------------------------------------------ */
+export function detTokenBase64(plain) {
+  if (plain === null || plain === undefined) return null;
+  if (!DET_KEY) throw new Error('DETERMINISTIC_KEY_missing');
+  const mac = crypto.createHmac('sha256', DET_KEY)
+    .update(String(plain), 'utf8')
+    .digest();
+  return mac.toString('base64');
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Email Normalization                          */
+/* ------------------------------------------------------------------ */
+export function normalizeEmail(email) {
+  if (!email) return null;
+  return String(email).trim().toLowerCase();
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Build E164                                   */
+/* ------------------------------------------------------------------ */
+export function buildE164({ phoneE164, phone_country_code, phone_number }) {
+  const isValidE164 = (v) => typeof v === 'string' && /^\+\d{6,15}$/.test(v);
+
+  if (isValidE164(phoneE164)) return phoneE164;
+
+  const ccRaw = (phone_country_code || '').toString().trim();
+  const localRaw = (phone_number || '').toString().trim();
+
+  if (!ccRaw.startsWith('+')) throw new Error('invalid_country_code');
+
+  const ccDigits = ccRaw.replace(/[^\d]/g, '');
+  const localDigits = localRaw.replace(/\D+/g, '');
+
+  const combined = `+${ccDigits}${localDigits}`;
+  if (!isValidE164(combined)) throw new Error('invalid_e164_combination');
+
+  return combined;
+}
+
+/* ------------------------------------------------------------------ */
+/*                        Security Answers                             */
+/* ------------------------------------------------------------------ */
+const BCRYPT_RE = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+/** Answers compare case- and whitespace-insensitively */
+export function normalizeAnswer(answer) {
+  return String(answer ?? '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/** True when a stored secuAns value is already a bcrypt hash */
+export function isHashedAnswer(stored) {
+  return typeof stored === 'string' && BCRYPT_RE.test(stored);
+}
+
+/** Normalize + bcrypt an answer for storage; empty answers stay null */
+export async function hashSecurityAnswer(answer) {
+  const norm = normalizeAnswer(answer);
+  if (!norm) return null;
+  return bcrypt.hash(norm, 10);
+}
+
+/**
+ * Check a given answer against the stored value.
+ * Rows not yet migrated by scripts/rehash-security-answers.js still hold
+ * plaintext, which is compared (normalized, constant-time) as a fallback.
+ */
+export async function verifySecurityAnswer(given, stored) {
+  const norm = normalizeAnswer(given);
+  if (!norm || stored == null || stored === '') return false;
+  if (isHashedAnswer(stored)) return bcrypt.compare(norm, stored);
+
+  const a = crypto.createHash('sha256').update(norm).digest();
+  const b = crypto.createHash('sha256').update(normalizeAnswer(stored)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/* ------------------------------------------------------------------ */
+/*                 Field Encryption (AES-256-GCM)                      */
+/* ------------------------------------------------------------------ */
+// Stored form: "v<keyVersion>:<iv>:<tag>:<ciphertext>" (base64url parts).
+// `aad` binds a ciphertext to its row/column (e.g. "<userID>|email") so a value
+// copied onto another user or column fails to decrypt.
+
+/** Version used for new ciphertexts (DATA_KEY_CURRENT) */
+export function currentDataKeyVersion() {
+  return DATA_KEY_CURRENT;
+}
+
+/** Key version a stored ciphertext was written with, or null if unparseable */
+export function cipherKeyVersion(blob) {
+  const m = String(blob ?? '').match(/^v(\d+):/);
+  return m ? Number(m[1]) : null;
+}
+
+export function encryptField(plain, aad) {
+  if (plain === null || plain === undefined || plain === '') return null;
+  const key = DATA_KEYS.get(DATA_KEY_CURRENT);
+  if (!key) throw new Error('DATA_KEY_missing');
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(String(aad ?? ''), 'utf8'));
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [`v${DATA_KEY_CURRENT}`, iv, tag, ct]
+    .map((p) => (Buffer.isBuffer(p) ? p.toString('base64url') : p))
+    .join(':');
+}
+
+/** Decrypt a value from encryptField(); throws on tampering or unknown key version */
+export function decryptField(blob, aad) {
+  if (blob === null || blob === undefined || blob === '') return null;
+  const parts = String(blob).split(':');
+  const version = cipherKeyVersion(blob);
+  if (parts.length !== 4 || version == null) throw new Error('cipher_malformed');
+
+  const key = DATA_KEYS.get(version);
+  if (!key) throw new Error(`DATA_KEY_V${version}_missing`);
+
+  const [, iv, tag, ct] = parts.map((p, i) => (i === 0 ? p : Buffer.from(p, 'base64url')));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(Buffer.from(String(aad ?? ''), 'utf8'));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ct), decipher.final()]).toString('utf8');
+}
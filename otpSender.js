@@ -0,0 +1,49 @@
+// otpSender.js (ESM)
+// Delivery of one-time codes. A sender is anything with:
+//   send({ to, code, expiresAt }) -> Promise<void>     (to = E.164 number)
+// Pick a built-in one with OTP_SENDER=console|file, or plug a real SMS
+// provider in at startup with setOtpSender(). With neither there is no sender
+// and /phone/verify/start answers 503 otp_sender_not_configured.
+import fs from 'fs/promises';
+import path from 'path';
+
+/** Prints codes to the server log — local development only */
+export function createConsoleSender() {
+  return {
+    async send({ to, code, expiresAt }) {
+      console.log(`[otp] to=${to} code=${code} expiresAt=${expiresAt}`);
+    },
+  };
+}
+
+/** Appends one JSON line per code to a file (default ./otp-outbox.log) */
+export function createFileSender(file = process.env.OTP_FILE || 'otp-outbox.log') {
+  const target = path.resolve(file);
+  return {
+    async send({ to, code, expiresAt }) {
+      const line = JSON.stringify({ at: new Date().toISOString(), to, code, expiresAt });
+      await fs.appendFile(target, line + '\n', 'utf8');
+    },
+  };
+}
+
+function senderFromEnv() {
+  const kind = String(process.env.OTP_SENDER ?? '').toLowerCase();
+  if (kind === 'file') return createFileSender();
+  if (kind === 'console') return createConsoleSender();
+  // No default: codes and numbers must never reach a log nobody opted into
+  // (NODE_ENV isn't set on Railway unless someone sets it)
+  return null;
+}
+
+let sender = senderFromEnv();
+
+export function setOtpSender(next) {
+  sender = next;
+}
+
+/** Deliver a code; throws Error('otp_sender_not_configured') when there is no sender */
+export async function sendOtp(message) {
+  if (!sender) throw new Error('otp_sender_not_configured');
+  await sender.send(message);
+}
@@ -0,0 +1,168 @@
+// quantity.js (ESM)
+// Quantity parsing / comparison shared by item search, resolve and matching.
+// Canonical form is { value, unit } in base units: ml, g, pcs, pack. For a
+// multipack ("6x330ml") value/unit is the total and `count` / `each` the parts.
+
+// unit alias -> [base unit, factor]; imperial volumes are UK measures
+const UNITS = [
+  [['ml', 'millilitre', 'milliliter'], 'ml', 1],
+  [['cl', 'centilitre', 'centiliter'], 'ml', 10],
+  [['dl', 'decilitre', 'deciliter'], 'ml', 100],
+  [['l', 'lt', 'ltr', 'litre', 'liter'], 'ml', 1000],
+  [['fl oz', 'fluid ounce'], 'ml', 28.4131],
+  [['pint', 'pt'], 'ml', 568.261],
+  [['gallon', 'gal'], 'ml', 4546.09],
+  [['mg', 'milligram'], 'g', 0.001],
+  [['g', 'gr', 'gram', 'gramme'], 'g', 1],
+  [['kg', 'kilo', 'kilogram', 'kilogramme'], 'g', 1000],
+  [['oz', 'ounce'], 'g', 28.3495],
+  [['lb', 'lbs', 'pound'], 'g', 453.592],
+  [['pc', 'pcs', 'piece', 'ea', 'each', 'unit', 'ct', 'count', 'roll', 'bag',
+    'sachet', 'tablet', 'capsule', 'sheet', 'egg'], 'pcs', 1],
+  [['pack', 'pk'], 'pack', 1],
+];
+// A space in an alias stands for an optional dot / whitespace ("fl oz", "fl.oz", "floz")
+const unitKey = (alias) => alias.replace(/[\s.]+/g, '');
+const ALIASES = UNITS.flatMap(([aliases, unit, factor]) => aliases.flatMap((a) => [
+  [a, unit, factor],
+  ...(a.length > 1 && !a.endsWith('s') ? [[`${a}s`, unit, factor]] : []), // plurals
+]));
+const UNIT_OF = new Map(ALIASES.map(([a, unit, factor]) => [unitKey(a), [unit, factor]]));
+// Longest alias first so "fl oz" beats "oz" and "kg" beats "g"
+const UNIT_RE = ALIASES.map(([a]) => a)
+  .sort((a, b) => b.length - a.length)
+  .map((a) => a.replace(/ /g, '\\.?\\s*'))
+  .join('|');
+const NUM = '(\\d+(?:\\.\\d+)?)';
+const AMOUNT = `${NUM}\\s*(${UNIT_RE})(?![a-z])`;
+
+const MULTI_RE = new RegExp(`(?<![\\d.])(\\d+)\\s*x\\s*${AMOUNT}`);         // 6x330ml, 4 x 125g
+const MULTI_AFTER_RE = new RegExp(`${AMOUNT}\\s*x\\s*(\\d+)(?![\\d.])`);     // 330ml x 6
+const RANGE_RE = new RegExp(`${NUM}\\s*(?:-|to)\\s*${AMOUNT}`);             // 400-450g
+const SINGLE_RE = new RegExp(`(?<![a-z])${AMOUNT}`);                        // 2.27l
+const PACK_OF_RE = /\bpack\s+of\s+(\d+)\b/;                                 // pack of 6
+
+const UNIT_BASES = ['ml', 'g', 'pcs', 'pack'];
+const round = (v) => Math.round(v * 1000) / 1000;
+
+function amount(num, alias) {
+  const [unit, factor] = UNIT_OF.get(unitKey(alias)) ?? [];
+  if (!unit) return null;
+  return { value: round(parseFloat(num) * factor), unit };
+}
+
+/** Lower-case, "1,5l" -> "1.5l", "1,000g" -> "1000g", × / * -> x */
+function clean(raw) {
+  return String(raw)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[×*]/g, 'x')
+    .replace(/[–—]/g, '-');
+}
+
+/**
+ * Free-text quantity -> { value, unit, count, each, min?, max? } or null.
+ *   "500ml"           -> { value: 500, unit: 'ml', count: 1, each: { value: 500, unit: 'ml' } }
+ *   "6x330ml"         -> { value: 1980, unit: 'ml', count: 6, each: { value: 330, unit: 'ml' } }
+ *   "2.27L (4 pints)" -> the first quantity found; the decoration is ignored
+ *   "400-450g"        -> value is the midpoint, with min/max
+ * cl, dl, fl oz, pint, gallon (UK), mg, oz and lb are converted to ml / g.
+ */
+export function parseQuantity(raw) {
+  if (raw == null || raw === '') return null;
+  const s = clean(raw);
+
+  const multi = s.match(MULTI_RE);
+  const after = !multi && s.match(MULTI_AFTER_RE);
+  if (multi || after) {
+    const [count, each] = multi
+      ? [parseInt(multi[1], 10), amount(multi[2], multi[3])]
+      : [parseInt(after[3], 10), amount(after[1], after[2])];
+    if (each && count > 0) {
+      return { value: round(each.value * count), unit: each.unit, count, each };
+    }
+  }
+
+  const range = s.match(RANGE_RE);
+  if (range) {
+    const hi = amount(range[2], range[3]);
+    const lo = hi && amount(range[1], range[3]);
+    if (hi && lo.value <= hi.value) {
+      return {
+        value: round((lo.value + hi.value) / 2), unit: hi.unit, count: 1, each: null,
+        min: lo.value, max: hi.value,
+      };
+    }
+  }
+
+  const single = s.match(SINGLE_RE);
+  if (single) {
+    const q = amount(single[1], single[2]);
+    if (q) return { ...q, count: 1, each: q };
+  }
+
+  const packOf = s.match(PACK_OF_RE);
+  if (packOf) {
+    const value = parseInt(packOf[1], 10);
+    return { value, unit: 'pack', count: 1, each: { value, unit: 'pack' } };
+  }
+  return null;
+}
+
+// canonicalize quantity to { value, unit } with base units: ml, g, pcs, pack
+// (the total for multipacks; count/each/min/max ride along when present)
+export function canonQty(raw) {
+  if (!raw) return null;
+  return parseQuantity(raw);
+}
+
+// Helper: canonicalize any supported quantity shape to { value, unit } in base units
+export function toCanon(q) {
+  if (!q) return null;
+  if (typeof q === 'string') return canonQty(q);
+
+  // Already parsed (parseQuantity output): keep count / range intact
+  if (typeof q === 'object' && q.value != null && 'count' in q && UNIT_BASES.includes(q.unit)) return q;
+
+  // Object like { value, unit } from Flutter
+  if (typeof q === 'object' && q.value != null && q.unit) {
+    // Use canonQty on a synthetic string to reuse unit/alias logic
+    return canonQty(String(q.value) + String(q.unit));
+  }
+  return null;
+}
+
+export function sameQty(userQ, dbQ) {
+  const u = toCanon(userQ);
+  const d = toCanon(dbQ);
+  if (!u || !d) return true;  // if either missing, do not filter out
+  if (u.unit !== d.unit) return false;
+  // 4x250ml and 2x500ml hold the same total but aren't the same product
+  if (u.count > 1 && d.count > 1 && u.count !== d.count) return false;
+
+  // Ranges ("400-450g") match anything they overlap
+  const gap = Math.max(u.min ?? u.value, d.min ?? d.value) - Math.min(u.max ?? u.value, d.max ?? d.value);
+  if (u.unit === 'pcs' || u.unit === 'pack') {
+    return gap < 0.5; // integer-ish tolerance
+  }
+  // ml/g: allow 2% tolerance, min absolute 1 unit
+  const maxV = Math.max(u.max ?? u.value, d.max ?? d.value);
+  return gap <= Math.max(1, 0.02 * maxV);
+}
+
+/**
+ * How close two quantities are, 0..1: 1 when sameQty, falling off with the
+ * relative difference for the same unit (330ml vs 500ml -> 0.33), 0 across units.
+ * null when either side can't be parsed.
+ */
+export function qtyCloseness(a, b) {
+  const x = toCanon(a);
+  const y = toCanon(b);
+  if (!x || !y) return null;
+  if (x.unit !== y.unit) return 0;
+  if (sameQty(x, y)) return 1;
+  const maxV = Math.max(x.value, y.value);
+  return maxV > 0 ? Math.round((0.5 * Math.min(x.value, y.value) / maxV) * 1000) / 1000 : 0;
+}
@@ -0,0 +1,105 @@
+// rateLimit.js (ESM)
+// Fixed-window rate limiting for auth and write endpoints.
+//
+// A store is anything with:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>   (resetAt = epoch ms)
+//   reset(key)               -> Promise<void>
+// The in-memory store is per process; with several instances behind Railway's
+// proxy, plug a shared store (e.g. Redis INCR + PEXPIRE) in via setDefaultStore().
+
+/* ------------------------------------------------------------------ */
+/*                           Stores                                    */
+/* ------------------------------------------------------------------ */
+export function createMemoryStore({ sweepEvery = 1000 } = {}) {
+  const hits = new Map(); // key -> { count, resetAt }
+  let calls = 0;
+
+  function sweep(now) {
+    for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (++calls % sweepEvery === 0) sweep(now);
+
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    async reset(key) {
+      hits.delete(key);
+    },
+  };
+}
+
+let defaultStore = createMemoryStore();
+
+/** Swap the store used by limiters created without an explicit `store` */
+export function setDefaultStore(store) {
+  defaultStore = store;
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Bucket keys                                */
+/* ------------------------------------------------------------------ */
+/** Client IP (needs app.set('trust proxy', ...) behind a proxy) */
+export const byIp = (req) => req.ip || req.socket?.remoteAddress || null;
+
+/** Signed-in user, falling back to IP for anonymous callers */
+export const byUserOrIp = (req) => (req.user?.userID ? `user:${req.user.userID}` : `ip:${byIp(req)}`);
+
+// Account buckets (login, signup, reset) are keyed by the routes themselves on
+// the identifier they actually resolve, see routes/auth.mjs and routes/signup.mjs.
+
+/* ------------------------------------------------------------------ */
+/*                          Middleware                                 */
+/* ------------------------------------------------------------------ */
+/** "max/windowSec" from RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN_IP=20/900 */
+function envOverride(name) {
+  const raw = process.env[`RATE_LIMIT_${String(name).toUpperCase()}`];
+  const m = String(raw ?? '').match(/^(\d+)\/(\d+)$/);
+  return m ? { max: Number(m[1]), windowSec: Number(m[2]) } : null;
+}
+
+/**
+ * rateLimit({ name, max, windowSec, key, store? })
+ *  - name:      bucket family, also the env override suffix
+ *  - max:       requests allowed per window
+ *  - windowSec: window length
+ *  - key(req):  bucket key (byIp, byUserOrIp, ...) or an array of keys, each
+ *               counted, the request limited when any is over; null/'' skips
+ * Over the limit -> 429 { error: 'rate_limited', retryAfter } + Retry-After header.
+ */
+export function rateLimit({ name, max, windowSec, key, store }) {
+  const cfg = { max, windowSec, ...envOverride(name) };
+  const windowMs = cfg.windowSec * 1000;
+
+  return async (req, res, next) => {
+    const keys = [].concat(key(req) ?? []).filter(Boolean);
+    if (!keys.length) return next();
+
+    let hit;
+    try {
+      const hits = await Promise.all(keys.map((k) => (store ?? defaultStore).increment(`${name}:${k}`, windowMs)));
+      hit = hits.reduce((a, b) => (b.count > a.count ? b : a));
+    } catch (e) {
+      // Never take the API down because the limiter's store is unavailable
+      console.error(`rateLimit(${name}) store error:`, e.message);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(cfg.max));
+    res.set('RateLimit-Remaining', String(Math.max(0, cfg.max - hit.count)));
+    if (hit.count > cfg.max) {
+      const retryAfter = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'rate_limited', retryAfter });
+    }
+    next();
+  };
+}
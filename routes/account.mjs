@@ -0,0 +1,307 @@
+// routes/account.mjs (ESM)
+import { Router } from 'express';
+import bcrypt from 'bcryptjs';
+import { pool } from '../db.js';
+import { requireAuth } from '../auth.js';
+import { decryptContact } from '../contacts.js';
+import { hashSecurityAnswer } from '../keys.js';
+import { userAllergens, setUserAllergens, canonicalAllergens } from '../allergens.js';
+
+const router = Router();
+
+// Everything here is about the signed-in user's own account
+router.use(requireAuth);
+
+/** The user's non-empty security questions -> [{ index: 1..3, question }] */
+const questionsOf = (row) =>
+  [1, 2, 3]
+    .map((i) => ({ index: i, question: String(row[`secuQuestion${i}`] ?? '').trim() }))
+    .filter((q) => q.question);
+
+async function loadAccount(userID) {
+  const [rows] = await pool.execute(
+    `SELECT userID, username, password, phone_country_code, role,
+            secuQuestion1, secuQuestion2, secuQuestion3,
+            email_cipher, phone_number_cipher, phone_verified_at
+       FROM loginTable
+      WHERE userID = ?
+      LIMIT 1`,
+    [String(userID)]
+  );
+  return rows[0] ?? null;
+}
+
+/** Public view of a loginTable row: no password or answer hashes, contact decrypted */
+function profileOf(row) {
+  return {
+    userID: String(row.userID),
+    username: row.username ?? null,
+    role: row.role ?? 'user',
+    phone_country_code: row.phone_country_code ?? null,
+    securityQuestions: questionsOf(row),
+    ...decryptContact(row),
+    phoneVerifiedAt: row.phone_verified_at ? new Date(row.phone_verified_at).toISOString() : null,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/account                                                           */
+/*  - 200: { userID, username, role, phone_country_code, securityQuestions,   */
+/*           email, phoneE164, phoneVerifiedAt }                              */
+/* -------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  try {
+    const row = await loadAccount(req.user.userID);
+    if (!row) return res.status(404).json({ error: 'account_not_found' });
+
+    res.set('Cache-Control', 'no-store');
+    return res.json(profileOf(row));
+  } catch (e) {
+    console.error('GET /api/account error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PATCH /api/account                                                         */
+/*  - Body (all optional): { username, phone_country_code,                    */
+/*      secuQuestion1..3 + secuAns1..3, currentPassword }                     */
+/*  - Changing a security question needs its new answer and currentPassword.  */
+/*  - Only fields present in the body are updated.                            */
+/*  - 409: duplicate_identifier { field } (same shape as /api/signup)         */
+/* -------------------------------------------------------------------------- */
+router.patch('/', async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const fields = [];
+    const values = [];
+
+    if ('username' in b) {
+      const username = String(b.username ?? '').trim();
+      if (!username) return res.status(400).json({ error: 'username_required' });
+      if (username.length > 64) return res.status(400).json({ error: 'username_too_long' });
+      fields.push('username = ?');
+      values.push(username);
+    }
+
+    if ('phone_country_code' in b) {
+      const cc = String(b.phone_country_code ?? '').trim();
+      if (cc && !/^\+?\d{1,4}$/.test(cc)) return res.status(400).json({ error: 'invalid_country_code' });
+      fields.push('phone_country_code = ?');
+      values.push(cc || null);
+    }
+
+    const touchedQuestions = [1, 2, 3].filter(
+      (i) => `secuQuestion${i}` in b || `secuAns${i}` in b
+    );
+    if (touchedQuestions.length) {
+      const row = await loadAccount(req.user.userID);
+      if (!row) return res.status(404).json({ error: 'account_not_found' });
+
+      const ok = await bcrypt.compare(String(b.currentPassword ?? ''), String(row.password ?? ''));
+      if (!ok) return res.status(401).json({ error: 'invalid_credentials' });
+
+      for (const i of touchedQuestions) {
+        const question = String(b[`secuQuestion${i}`] ?? row[`secuQuestion${i}`] ?? '').trim();
+        const answerHash = await hashSecurityAnswer(b[`secuAns${i}`]);
+        // A question and its answer are always replaced together
+        if (question && !answerHash) return res.status(400).json({ error: `secuAns${i}_required` });
+        fields.push(`secuQuestion${i} = ?`, `secuAns${i} = ?`);
+        values.push(question || null, question ? answerHash : null);
+      }
+    }
+
+    if (fields.length === 0) return res.status(400).json({ error: 'No fields to update' });
+
+    values.push(req.user.userID);
+    const [result] = await pool.execute(
+      `UPDATE loginTable SET ${fields.join(', ')} WHERE userID = ?`,
+      values
+    );
+    if (result.affectedRows === 0) return res.status(404).json({ error: 'account_not_found' });
+
+    return res.json(profileOf(await loadAccount(req.user.userID)));
+  } catch (e) {
+    if (e?.code === 'ER_DUP_ENTRY') {
+      const field = /username/i.test(e.sqlMessage || '') ? 'username' : 'identifier';
+      return res.status(409).json({
+        error: 'duplicate_identifier',
+        field,
+        message: `${field} already in use. Please use another.`,
+      });
+    }
+    console.error('PATCH /api/account error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/account/contact                                                   */
+/*  - Decrypts the user's stored email / phone for display.                   */
+/*  - 200: { email: string|null, phoneE164: string|null }                     */
+/* -------------------------------------------------------------------------- */
+router.get('/contact', async (req, res) => {
+  try {
+    const row = await loadAccount(req.user.userID);
+    if (!row) return res.status(404).json({ error: 'account_not_found' });
+
+    res.set('Cache-Control', 'no-store');
+    return res.json(decryptContact(row));
+  } catch (e) {
+    console.error('GET /api/account/contact error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/account/allergens                                                 */
+/*  - 200: { allergens: ["Milk", ...] }   the user's allergen profile         */
+/* -------------------------------------------------------------------------- */
+router.get('/allergens', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    return res.json({ allergens: await userAllergens(req.user.userID) });
+  } catch (e) {
+    console.error('GET /api/account/allergens error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PUT /api/account/allergens                                                 */
+/*  - Body: { allergens: ["milk", "Peanuts"] }   replaces the profile; names  */
+/*    from GET /api/allergens (any case), [] clears it.                       */
+/*  - Search / resolve responses then flag items via allergenConflict.        */
+/*  - 200: { allergens: [...] }                                               */
+/*  - 400: unknown_allergen { allergen }                                      */
+/* -------------------------------------------------------------------------- */
+router.put('/allergens', async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.allergens)) return res.status(400).json({ error: 'allergens_required' });
+    const names = await canonicalAllergens(req.body.allergens);
+    await setUserAllergens(req.user.userID, names);
+    return res.json({ allergens: names });
+  } catch (e) {
+    if (e.message === 'unknown_allergen') return res.status(400).json({ error: 'unknown_allergen', allergen: e.value });
+    console.error('PUT /api/account/allergens error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/account/export                                                    */
+/*  - Everything stored for the user as one JSON download:                    */
+/*    { exportedAt, account, itemInput: [...], itemInputCategories: [...],    */
+/*      allergens: [...], sessions: [...] }                                   */
+/*  - itemInputCategories: the category each of the user's itemInput rows     */
+/*    carries now; earlier values aren't kept, so there is no edit history    */
+/* -------------------------------------------------------------------------- */
+router.get('/export', async (req, res) => {
+  try {
+    const { userID } = req.user;
+    const row = await loadAccount(userID);
+    if (!row) return res.status(404).json({ error: 'account_not_found' });
+
+    const [inputs] = await pool.query(
+      `SELECT
+         id, userID, brand, itemName, itemNo, itemID, feature, quantity,
+         priceValue, priceID, discountApplied, channel,
+         shop_name, shop_address, chainShopID, createdAt, category
+       FROM itemInput
+       WHERE userID = ?
+       ORDER BY createdAt ASC, id ASC`,
+      [userID]
+    );
+    const [sessions] = await pool.query(
+      `SELECT id, createdAt, expiresAt, revokedAt
+         FROM userSession
+        WHERE userID = ?
+        ORDER BY createdAt ASC`,
+      [userID]
+    );
+
+    const itemInput = inputs.map((r) => ({
+      ...r,
+      id: r.id != null ? Number(r.id) : null,
+      priceValue: r.priceValue == null ? null : Number(r.priceValue),
+      createdAt: r.createdAt ? String(r.createdAt) : null,
+    }));
+
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      account: profileOf(row),
+      itemInput,
+      // Current values only (set via PATCH /api/item-input/category(/bulk))
+      itemInputCategories: itemInput
+        .filter((r) => r.category)
+        .map((r) => ({ itemInputID: r.id, itemID: r.itemID, itemName: r.itemName, category: r.category })),
+      allergens: await userAllergens(userID),
+      sessions: sessions.map((s) => ({
+        id: Number(s.id),
+        createdAt: s.createdAt ? String(s.createdAt) : null,
+        expiresAt: s.expiresAt ? String(s.expiresAt) : null,
+        revokedAt: s.revokedAt ? String(s.revokedAt) : null,
+      })),
+    };
+
+    res.set('Cache-Control', 'no-store');
+    res.set('Content-Disposition', `attachment; filename="account-${userID}.json"`);
+    return res.json(payload);
+  } catch (e) {
+    console.error('GET /api/account/export error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* DELETE /api/account                                                        */
+/*  - Body: { password, itemInput?: 'anonymize' (default) | 'delete' }        */
+/*  - anonymize: keeps itemInput rows (prices stay useful) with userID NULL   */
+/*  - delete:    removes the user's itemInput rows                            */
+/*  - Sessions, reset tokens and phone codes are removed; one transaction.    */
+/* -------------------------------------------------------------------------- */
+router.delete('/', async (req, res) => {
+  try {
+    const { userID } = req.user;
+    const mode = String(req.body?.itemInput ?? 'anonymize').toLowerCase();
+    if (!['anonymize', 'delete'].includes(mode)) {
+      return res.status(400).json({ error: 'invalid_itemInput_mode' });
+    }
+
+    const row = await loadAccount(userID);
+    if (!row) return res.status(404).json({ error: 'account_not_found' });
+    const ok = await bcrypt.compare(String(req.body?.password ?? ''), String(row.password ?? ''));
+    if (!ok) return res.status(401).json({ error: 'invalid_credentials' });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [inputs] = mode === 'delete'
+        ? await conn.execute('DELETE FROM itemInput WHERE userID = ?', [userID])
+        : await conn.execute(
+            'UPDATE itemInput SET userID = NULL, shop_address = NULL WHERE userID = ?',
+            [userID]
+          );
+      await conn.execute('DELETE FROM userSession WHERE userID = ?', [userID]);
+      await conn.execute('DELETE FROM passwordResetToken WHERE userID = ?', [userID]);
+      await conn.execute('DELETE FROM phoneOtp WHERE userID = ?', [userID]);
+      await conn.execute('DELETE FROM itemAlias WHERE userID = ?', [userID]);
+      await conn.execute('DELETE FROM userAllergen WHERE userID = ?', [userID]);
+      await conn.execute('DELETE FROM loginTable WHERE userID = ?', [userID]);
+
+      await conn.commit();
+      return res.json({ deleted: true, userID, itemInput: { mode, affected: inputs.affectedRows } });
+    } catch (inner) {
+      await conn.rollback().catch(() => {});
+      throw inner;
+    } finally {
+      conn.release();
+    }
+  } catch (e) {
+    console.error('DELETE /api/account error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,168 @@
+// routes/admin.mjs (ESM)
+import { Router } from 'express';
+import { pool } from '../db.js';
+import { requireRole, ROLES, revokeUserSessions } from '../auth.js';
+import { duplicateReport } from '../itemDuplicates.js';
+import { canonicalAllergens } from '../allergens.js';
+import { normalizeText } from '../itemMatch.js';
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/admin/users?role=&limit=&offset=                                  */
+/*  - 200: { count, users: [{ userID, username, role }] }                     */
+/* -------------------------------------------------------------------------- */
+router.get('/users', async (req, res) => {
+  try {
+    const role = String(req.query.role ?? '').trim();
+    if (role && !ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const where = role ? 'WHERE role = ?' : '';
+    const [rows] = await pool.query(
+      `SELECT userID, username, role
+         FROM loginTable
+         ${where}
+        ORDER BY userID ASC
+        LIMIT ? OFFSET ?`,
+      role ? [role, limit, offset] : [limit, offset]
+    );
+    return res.json({
+      count: rows.length,
+      users: rows.map((r) => ({ userID: String(r.userID), username: r.username ?? null, role: r.role })),
+    });
+  } catch (e) {
+    console.error('GET /api/admin/users error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PUT /api/admin/users/:userID/role                                          */
+/*  - Body: { role: 'user' | 'contributor' | 'admin' }                        */
+/*  - Admins can't demote themselves (avoids locking everyone out).           */
+/*  - A demotion also revokes the user's sessions.                            */
+/*  - 200: { userID, role }                                                   */
+/* -------------------------------------------------------------------------- */
+router.put('/users/:userID/role', async (req, res) => {
+  try {
+    const userID = String(req.params.userID);
+    const role = String(req.body?.role ?? '').trim();
+    if (!ROLES.includes(role)) return res.status(400).json({ error: 'invalid_role' });
+    if (userID === req.user.userID && role !== 'admin') {
+      return res.status(400).json({ error: 'cannot_demote_self' });
+    }
+
+    const [rows] = await pool.execute('SELECT role FROM loginTable WHERE userID = ? LIMIT 1', [userID]);
+    if (!rows.length) return res.status(404).json({ error: 'account_not_found' });
+
+    await pool.execute('UPDATE loginTable SET role = ? WHERE userID = ?', [role, userID]);
+    if (ROLES.indexOf(role) < ROLES.indexOf(rows[0].role)) await revokeUserSessions(userID);
+
+    return res.json({ userID, role });
+  } catch (e) {
+    console.error('PUT /api/admin/users/:userID/role error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/admin/items/duplicates?threshold=0.8&limit=100&offset=0&refresh=1 */
+/*  - Likely duplicate items: same brand, equivalent quantity (500ml = 0.5L), */
+/*    similar name/features. Each group's `merge` can be POSTed as-is to      */
+/*    /api/items/merge (the most referenced item survives).                   */
+/*  - The report is computed once and paged from memory for a few minutes     */
+/*    (generatedAt); refresh=1 recomputes it, e.g. after merging.             */
+/*  - Brand + quantity blocks too large to compare pairwise are listed in     */
+/*    skippedBlocks instead (DUPLICATE_MAX_BLOCK).                            */
+/*  - 200: { count, total, threshold, limit, offset, nextOffset, generatedAt, */
+/*           skippedBlocks: [{ brand, quantity, items }],                     */
+/*           groups: [{ score, items: [{ id, name, brand, quantity, feature,  */
+/*           references }], pairs, merge }] }                                 */
+/* -------------------------------------------------------------------------- */
+router.get('/items/duplicates', async (req, res) => {
+  try {
+    const threshold = Number(req.query.threshold ?? 0.8);
+    if (!(threshold > 0 && threshold <= 1)) return res.status(400).json({ error: 'invalid_threshold' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const refresh = String(req.query.refresh ?? '') === '1';
+
+    const { groups, ...page } = await duplicateReport({ threshold, limit, offset, refresh });
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      count: groups.length, total: page.total, threshold, limit, offset,
+      nextOffset: page.nextOffset, generatedAt: page.generatedAt, skippedBlocks: page.skippedBlocks, groups,
+    });
+  } catch (e) {
+    console.error('GET /api/admin/items/duplicates error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/admin/allergen-synonyms                                           */
+/*  - Ingredient terms used by POST /api/items/:id/ingredients.               */
+/*  - 200: { count, synonyms: [{ term, allergen }] }   allergen null = "not   */
+/*    an allergen" phrase (e.g. "cocoa butter")                               */
+/* -------------------------------------------------------------------------- */
+router.get('/allergen-synonyms', async (_req, res) => {
+  try {
+    const [rows] = await pool.query('SELECT term, allergen FROM allergenSynonym ORDER BY allergen ASC, term ASC');
+    return res.json({
+      count: rows.length,
+      synonyms: rows.map((r) => ({ term: String(r.term), allergen: r.allergen ?? null })),
+    });
+  } catch (e) {
+    console.error('GET /api/admin/allergen-synonyms error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PUT /api/admin/allergen-synonyms                                           */
+/*  - Body: { term, allergen: string | null }   adds or changes one term      */
+/*  - 200: { term, allergen }                                                 */
+/*  - 400: term_required | unknown_allergen { allergen }                      */
+/* -------------------------------------------------------------------------- */
+router.put('/allergen-synonyms', async (req, res) => {
+  try {
+    const term = normalizeText(req.body?.term);
+    if (!term) return res.status(400).json({ error: 'term_required' });
+    if (term.length > 100) return res.status(400).json({ error: 'term_too_long' });
+    const raw = req.body?.allergen;
+    const [allergen = null] = raw == null || raw === '' ? [] : await canonicalAllergens([raw]);
+
+    await pool.execute(
+      `INSERT INTO allergenSynonym (term, allergen) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE allergen = VALUES(allergen)`,
+      [term, allergen]
+    );
+    return res.json({ term, allergen });
+  } catch (e) {
+    if (e.message === 'unknown_allergen') return res.status(400).json({ error: 'unknown_allergen', allergen: e.value });
+    console.error('PUT /api/admin/allergen-synonyms error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* DELETE /api/admin/allergen-synonyms/:term                                  */
+/*  - 200: { deleted: true, term } | 404: not_found                           */
+/* -------------------------------------------------------------------------- */
+router.delete('/allergen-synonyms/:term', async (req, res) => {
+  try {
+    const term = normalizeText(req.params.term);
+    const [r] = await pool.execute('DELETE FROM allergenSynonym WHERE term = ?', [term]);
+    if (r.affectedRows === 0) return res.status(404).json({ error: 'not_found' });
+    return res.json({ deleted: true, term });
+  } catch (e) {
+    console.error('DELETE /api/admin/allergen-synonyms/:term error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,327 @@
+// routes/auth.mjs (ESM)
+import { Router } from 'express';
+import bcrypt from 'bcryptjs';
+import { pool } from '../db.js';
+import {
+  detTokenBase64, normalizeEmail, buildE164, verifySecurityAnswer,
+} from '../keys.js';
+import { saveContact } from '../contacts.js';
+import { passwordProblems } from '../signup.js';
+import { rateLimit, byIp } from '../rateLimit.js';
+import {
+  issueTokens, rotateRefreshToken, revokeSession, revokeSessionById, revokeUserSessions,
+  createResetToken, consumeResetToken, verifyAccessToken, bearerToken,
+} from '../auth.js';
+
+const router = Router();
+
+const RESET_MAX_ATTEMPTS = Number(process.env.RESET_MAX_ATTEMPTS || 5);
+const RESET_LOCK_MIN = Number(process.env.RESET_LOCK_MIN || 15);
+
+// Brute-force throttles (override with RATE_LIMIT_<NAME>=max/windowSec)
+const loginIpLimit = rateLimit({ name: 'login_ip', max: 30, windowSec: 15 * 60, key: byIp });
+const loginIdLimit = rateLimit({ name: 'login_identifier', max: 10, windowSec: 15 * 60, key: byAccount });
+const refreshLimit = rateLimit({ name: 'refresh_ip', max: 60, windowSec: 15 * 60, key: byIp });
+const resetIpLimit = rateLimit({ name: 'reset_ip', max: 20, windowSec: 15 * 60, key: byIp });
+const resetIdLimit = rateLimit({ name: 'reset_identifier', max: 10, windowSec: 60 * 60, key: byAccount });
+
+// Compared against when no user matches, so unknown identifiers cost the same as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 12);
+
+/**
+ * Work out which loginTable column to look the user up by.
+ * Accepts the same fields as /api/signup (identifierType + username/email/phone*)
+ * or a single free-form `identifier` (email if it has '@', phone if it starts with '+').
+ * Returns { column, value, contact } or throws Error('<code>'); `contact` is the
+ * normalized plaintext email/phone (for backfilling the encrypted copy), if any.
+ */
+function resolveIdentifier(b) {
+  let type = String(b.identifierType ?? '').trim().toLowerCase();
+  const identifier = String(b.identifier ?? '').trim();
+
+  if (!type) {
+    if (b.username) type = 'username';
+    else if (b.email) type = 'email';
+    else if (b.phoneE164 || b.phone_number) type = 'phone';
+    else if (identifier.includes('@')) type = 'email';
+    else if (identifier.startsWith('+')) type = 'phone';
+    else if (identifier) type = 'username';
+  }
+
+  if (type === 'username') {
+    const username = String(b.username ?? identifier).trim();
+    if (!username) throw new Error('username_required');
+    return { column: 'username', value: username };
+  }
+  if (type === 'email') {
+    const email = normalizeEmail(b.email ?? identifier);
+    if (!email) throw new Error('email_required');
+    return { column: 'email_enc', value: detTokenBase64(email), contact: { email } };
+  }
+  if (type === 'phone') {
+    const e164 = buildE164({
+      phoneE164: b.phoneE164 ?? identifier.replace(/[^\d+]/g, ''),
+      phone_country_code: b.phone_country_code,
+      phone_number: b.phone_number,
+    });
+    return { column: 'phone_number_enc', value: detTokenBase64(e164), contact: { phoneE164: e164 } };
+  }
+  throw new Error('identifier_required');
+}
+
+/**
+ * Rate-limit bucket for a login/reset body: the column + value
+ * resolveIdentifier looks the user up by (usernames compare case-insensitively
+ * in MySQL), so extra or decoy fields can't open a fresh bucket. null when
+ * the body names no account (the route answers 400 itself).
+ */
+function byAccount(req) {
+  try {
+    const { column, value } = resolveIdentifier(req.body ?? {});
+    return `${column}:${column === 'username' ? value.toLowerCase() : value}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the loginTable row for the identifier in a request body.
+ * Returns { user, lookup } (user may be null), or { status, error } for a bad identifier.
+ */
+async function lookupUser(b, columns) {
+  let lookup;
+  try {
+    lookup = resolveIdentifier(b);
+  } catch (errId) {
+    const code = errId.message || 'identifier_required';
+    // Missing key is a server problem, everything else is a bad request
+    return { status: code === 'DETERMINISTIC_KEY_missing' ? 500 : 400, error: code };
+  }
+
+  // column comes from resolveIdentifier's fixed set, never from the client
+  const [rows] = await pool.execute(
+    `SELECT ${columns.join(', ')} FROM loginTable WHERE \`${lookup.column}\` = ? LIMIT 1`,
+    [lookup.value]
+  );
+  return { user: rows[0] ?? null, lookup };
+}
+
+/** The user's non-empty security questions -> [{ index: 1..3, question }] */
+function questionsOf(user) {
+  return [1, 2, 3]
+    .map((i) => ({ index: i, question: String(user[`secuQuestion${i}`] ?? '').trim() }))
+    .filter((q) => q.question);
+}
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/login                                                            */
+/*  - Body: { identifierType?: 'username'|'email'|'phone', username?, email?, */
+/*            phone_country_code?, phone_number?, phoneE164?, identifier?,    */
+/*            password }                                                      */
+/*  - 200: { userID, username, accessToken, accessExpiresAt,                  */
+/*           refreshToken, refreshExpiresAt }                                 */
+/*  - 401: { error: 'invalid_credentials' } (same for unknown user)           */
+/* -------------------------------------------------------------------------- */
+router.post('/login', loginIpLimit, loginIdLimit, async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const password = String(b.password ?? '');
+    if (!password) return res.status(400).json({ error: 'password_required' });
+
+    const found = await lookupUser(b, [
+      'userID', 'username', 'password', 'email_cipher', 'phone_number_cipher',
+    ]);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const { user, lookup } = found;
+
+    const ok = await bcrypt.compare(password, user?.password ? String(user.password) : DUMMY_HASH);
+    if (!user || !ok) return res.status(401).json({ error: 'invalid_credentials' });
+
+    // Accounts created before contact encryption only have the HMAC token; the
+    // identifier just matched it, so this is our chance to keep a readable copy.
+    const { contact } = lookup;
+    if ((contact?.email && !user.email_cipher) || (contact?.phoneE164 && !user.phone_number_cipher)) {
+      saveContact(user.userID, contact)
+        .catch((e) => console.error('login contact backfill failed:', e.message));
+    }
+
+    const tokens = await issueTokens(user.userID);
+    return res.json({
+      userID: String(user.userID),
+      username: user.username ?? null,
+      ...tokens,
+    });
+  } catch (e) {
+    console.error('POST /api/login error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/token/refresh                                                    */
+/*  - Body: { refreshToken }                                                  */
+/*  - Rotates the refresh token: the old one stops working immediately.       */
+/*  - 200: { userID, accessToken, accessExpiresAt, refreshToken,              */
+/*           refreshExpiresAt }                                               */
+/* -------------------------------------------------------------------------- */
+router.post('/token/refresh', refreshLimit, async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken ?? '').trim();
+    if (!refreshToken) return res.status(400).json({ error: 'refreshToken_required' });
+
+    const result = await rotateRefreshToken(refreshToken);
+    return res.json(result);
+  } catch (e) {
+    if (e.message === 'invalid_refresh_token') return res.status(401).json({ error: e.message });
+    console.error('POST /api/token/refresh error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/logout                                                           */
+/*  - Body: { refreshToken } and/or Header: Authorization: Bearer <access>    */
+/*  - Revokes the session; always 200 so clients can clear local state.       */
+/* -------------------------------------------------------------------------- */
+router.post('/logout', async (req, res) => {
+  try {
+    let revoked = await revokeSession(String(req.body?.refreshToken ?? '').trim() || null);
+
+    const access = bearerToken(req);
+    if (access) {
+      try {
+        const claims = verifyAccessToken(access);
+        revoked = (await revokeSessionById(claims.sid)) || revoked;
+      } catch (_) { /* expired/invalid access token: nothing more to revoke */ }
+    }
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error('POST /api/logout error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/password-reset/questions                                         */
+/*  - Body: identifier fields as for /api/login (no password)                 */
+/*  - 200: { questions: [ { index, question }, ... ] }                        */
+/*  - 404: account_not_found | no_security_questions                          */
+/* -------------------------------------------------------------------------- */
+router.post('/password-reset/questions', resetIpLimit, async (req, res) => {
+  try {
+    const found = await lookupUser(req.body ?? {}, [
+      'userID', 'secuQuestion1', 'secuQuestion2', 'secuQuestion3',
+    ]);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    if (!found.user) return res.status(404).json({ error: 'account_not_found' });
+
+    const questions = questionsOf(found.user);
+    if (!questions.length) return res.status(404).json({ error: 'no_security_questions' });
+    return res.json({ questions });
+  } catch (e) {
+    console.error('POST /api/password-reset/questions error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/password-reset/verify                                            */
+/*  - Body: identifier fields + secuAns1..3 (one per question returned above) */
+/*  - 200: { resetToken, expiresAt }  (single-use, RESET_TTL_MIN minutes)     */
+/*  - 401: wrong_answers { attemptsLeft }                                     */
+/*  - 429: reset_locked { retryAfter } after RESET_MAX_ATTEMPTS failures      */
+/* -------------------------------------------------------------------------- */
+router.post('/password-reset/verify', resetIpLimit, resetIdLimit, async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const found = await lookupUser(b, [
+      'userID',
+      'secuQuestion1', 'secuAns1', 'secuQuestion2', 'secuAns2', 'secuQuestion3', 'secuAns3',
+      'resetFailCount',
+      'TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, resetLockedUntil) AS lockSecondsLeft',
+    ]);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const { user } = found;
+    if (!user) return res.status(404).json({ error: 'account_not_found' });
+
+    const lockLeft = Number(user.lockSecondsLeft ?? 0);
+    if (lockLeft > 0) {
+      res.set('Retry-After', String(lockLeft));
+      return res.status(429).json({ error: 'reset_locked', retryAfter: lockLeft });
+    }
+
+    const questions = questionsOf(user);
+    if (!questions.length) return res.status(404).json({ error: 'no_security_questions' });
+
+    for (const q of questions) {
+      if (b[`secuAns${q.index}`] == null || String(b[`secuAns${q.index}`]).trim() === '') {
+        return res.status(400).json({ error: `secuAns${q.index}_required` });
+      }
+    }
+
+    // Check every answer (no early exit) so timing doesn't reveal which one was wrong
+    const results = await Promise.all(questions.map((q) =>
+      verifySecurityAnswer(b[`secuAns${q.index}`], user[`secuAns${q.index}`])
+    ));
+    const allOk = results.every(Boolean);
+
+    if (!allOk) {
+      // Lock first (reads the old count), then bump/reset the counter
+      await pool.execute(
+        `UPDATE loginTable
+            SET resetLockedUntil = IF(resetFailCount + 1 >= ?,
+                                      DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE),
+                                      resetLockedUntil),
+                resetFailCount   = IF(resetFailCount + 1 >= ?, 0, resetFailCount + 1)
+          WHERE userID = ?`,
+        [RESET_MAX_ATTEMPTS, RESET_LOCK_MIN, RESET_MAX_ATTEMPTS, String(user.userID)]
+      );
+      const attemptsLeft = Math.max(0, RESET_MAX_ATTEMPTS - (Number(user.resetFailCount ?? 0) + 1));
+      if (attemptsLeft === 0) {
+        res.set('Retry-After', String(RESET_LOCK_MIN * 60));
+        return res.status(429).json({ error: 'reset_locked', retryAfter: RESET_LOCK_MIN * 60 });
+      }
+      return res.status(401).json({ error: 'wrong_answers', attemptsLeft });
+    }
+
+    await pool.execute(
+      'UPDATE loginTable SET resetFailCount = 0, resetLockedUntil = NULL WHERE userID = ?',
+      [String(user.userID)]
+    );
+    const reset = await createResetToken(user.userID);
+    return res.json({ resetToken: reset.token, expiresAt: reset.expiresAt });
+  } catch (e) {
+    console.error('POST /api/password-reset/verify error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/password-reset/complete                                          */
+/*  - Body: { resetToken, newPassword }                                       */
+/*  - Sets a new bcrypt password and signs the user out everywhere.           */
+/* -------------------------------------------------------------------------- */
+router.post('/password-reset/complete', resetIpLimit, async (req, res) => {
+  try {
+    const resetToken = String(req.body?.resetToken ?? '').trim();
+    const newPassword = String(req.body?.newPassword ?? '');
+    if (!resetToken) return res.status(400).json({ error: 'resetToken_required' });
+    // Same strength rules as signup
+    const problems = passwordProblems(newPassword);
+    if (problems.length) return res.status(400).json({ error: 'weak_password', problems });
+
+    const userID = await consumeResetToken(resetToken);
+    if (!userID) return res.status(401).json({ error: 'invalid_reset_token' });
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    await pool.execute('UPDATE loginTable SET password = ? WHERE userID = ?', [passwordHash, userID]);
+    await revokeUserSessions(userID);
+
+    return res.json({ ok: true, userID });
+  } catch (e) {
+    console.error('POST /api/password-reset/complete error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+export default router;
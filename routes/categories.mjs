@@ -0,0 +1,166 @@
+// routes/categories.mjs (ESM)
+// Category tree under /api/categories (see categories.js). Anyone may read it;
+// admins edit the tree, contributors map free-text values onto it.
+import { Router } from 'express';
+import { requireRole } from '../auth.js';
+import {
+  categoryTree, categoryById, createCategory, updateCategory, deleteCategory,
+  setMappings, mappingReport, categoryIdFrom,
+} from '../categories.js';
+
+const router = Router();
+
+const MAX_NAME = 100;
+
+function treeError(res, e, label) {
+  if (e.message === 'not_found') return res.status(404).json({ error: 'not_found' });
+  if (e.message === 'parent_not_found') return res.status(400).json({ error: 'parent_not_found' });
+  if (e.message === 'category_not_found') return res.status(400).json({ error: 'category_not_found' });
+  if (e.message === 'category_cycle') return res.status(400).json({ error: 'category_cycle' });
+  if (e.message === 'duplicate_category') {
+    return res.status(409).json({ error: 'duplicate_category', categoryID: e.categoryID });
+  }
+  if (e.message === 'category_has_children') return res.status(409).json({ error: 'category_has_children' });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: 'server_error' });
+}
+
+/** Body name -> trimmed string, or an error code */
+function nameFrom(raw) {
+  const name = String(raw ?? '').trim();
+  if (!name) return { error: 'name_required' };
+  if (name.length > MAX_NAME) return { error: 'name_too_long' };
+  return { name };
+}
+
+/** Body parentID -> undefined (absent), null (root) or a positive integer, or NaN */
+function parentFrom(b) {
+  if (!('parentID' in b)) return undefined;
+  if (b.parentID == null || b.parentID === '') return null;
+  const n = Number(b.parentID);
+  return Number.isInteger(n) && n > 0 ? n : NaN;
+}
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/categories                                                        */
+/*  - 200: { categories: [{ id, parentID, name, slug, path: ["Dairy","Milk"], */
+/*           children: [...] }] }   (roots, alphabetical)                     */
+/* -------------------------------------------------------------------------- */
+router.get('/', async (_req, res) => {
+  try {
+    return res.json({ categories: await categoryTree() });
+  } catch (e) {
+    return treeError(res, e, 'GET /api/categories');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/categories/mappings                    (contributor)              */
+/*  - 200: { mappings: [{ freeText, categoryID, path }],                      */
+/*           unmapped: [{ freeText, itemColor4, itemInput }] }                */
+/*    unmapped = free-text values without a node, most used first             */
+/* -------------------------------------------------------------------------- */
+router.get('/mappings', requireRole('contributor'), async (_req, res) => {
+  try {
+    return res.json(await mappingReport());
+  } catch (e) {
+    return treeError(res, e, 'GET /api/categories/mappings');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PUT /api/categories/mappings                    (contributor)              */
+/*  - Body: { values: ["semi skimmed", "milk"], categoryID: number | null }   */
+/*    null removes the mappings. Matching itemInput rows are backfilled.      */
+/*  - 200: { mapped, backfilled }                                             */
+/*  - 400: values_required | category_not_found                               */
+/* -------------------------------------------------------------------------- */
+router.put('/mappings', requireRole('contributor'), async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const values = Array.isArray(b.values) ? b.values.map(String) : [];
+    if (!values.some((v) => v.trim())) return res.status(400).json({ error: 'values_required' });
+    if (!('categoryID' in b)) return res.status(400).json({ error: 'categoryID_required' });
+
+    // Not a positive integer -> category_not_found (categoryIdFrom throws)
+    return res.json(await setMappings(values, categoryIdFrom(b.categoryID), req.user.userID));
+  } catch (e) {
+    return treeError(res, e, 'PUT /api/categories/mappings');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/categories/:id                                                    */
+/*  - 200: { category: { id, parentID, name, slug, path, children } }         */
+/* -------------------------------------------------------------------------- */
+router.get('/:id', async (req, res) => {
+  try {
+    const category = await categoryById(req.params.id);
+    if (!category) return res.status(404).json({ error: 'not_found' });
+    return res.json({ category });
+  } catch (e) {
+    return treeError(res, e, 'GET /api/categories/:id');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/categories                            (admin)                    */
+/*  - Body: { name, parentID? }                                               */
+/*  - 201: { category }                                                       */
+/*  - 409: duplicate_category { categoryID }   (same name under same parent)  */
+/* -------------------------------------------------------------------------- */
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const { name, error } = nameFrom(b.name);
+    if (error) return res.status(400).json({ error });
+    const parentID = parentFrom(b);
+    if (Number.isNaN(parentID)) return res.status(400).json({ error: 'invalid_parentID' });
+
+    return res.status(201).json({ category: await createCategory({ name, parentID: parentID ?? null }) });
+  } catch (e) {
+    return treeError(res, e, 'POST /api/categories');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PATCH /api/categories/:id                       (admin)                    */
+/*  - Body: { name?, parentID? }   parentID null moves the node to the root.  */
+/*  - 200: { category }                                                       */
+/*  - 400: category_cycle (moving a node under itself)                        */
+/* -------------------------------------------------------------------------- */
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const patch = {};
+    if ('name' in b) {
+      const { name, error } = nameFrom(b.name);
+      if (error) return res.status(400).json({ error });
+      patch.name = name;
+    }
+    const parentID = parentFrom(b);
+    if (Number.isNaN(parentID)) return res.status(400).json({ error: 'invalid_parentID' });
+    if (parentID !== undefined) patch.parentID = parentID;
+    if (!Object.keys(patch).length) return res.status(400).json({ error: 'No fields to update' });
+
+    return res.json({ category: await updateCategory(req.params.id, patch) });
+  } catch (e) {
+    return treeError(res, e, 'PATCH /api/categories/:id');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* DELETE /api/categories/:id                      (admin)                    */
+/*  - Leaf nodes only; items, itemInput rows and mappings move to the parent. */
+/*  - 200: { deleted, movedTo }                                               */
+/*  - 409: category_has_children                                              */
+/* -------------------------------------------------------------------------- */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    return res.json(await deleteCategory(req.params.id, req.user.userID));
+  } catch (e) {
+    return treeError(res, e, 'DELETE /api/categories/:id');
+  }
+});
+
+export default router;
@@ -3,19 +3,22 @@
 import express from 'express';
 import cors from 'cors';
 import mysql from 'mysql2/promise';
+import { authenticate, requireRole, apiKeyOrUser } from '../auth.js';
+import { rateLimit, byIp } from '../rateLimit.js';
+import { searchItems, SEARCH_FIELDS } from '../itemSearch.js';
+import { unitPriceOptions } from '../unitPrice.js';
+import { withAllergenFlags } from '../allergens.js';
 
 const app = express();
 app.use(cors());
 app.use(express.json({ limit: '256kb' }));
 
-// Optional: simple API key gate (set API_KEY in Railway vars)
+// Bearer access token -> req.user (same tokens as POST /api/login on the main server)
+app.use(authenticate);
+
+// Optional: simple API key gate (set API_KEY in Railway vars); signed-in users pass
 const API_KEY = process.env.API_KEY;
-app.use((req, res, next) => {
-  if (!API_KEY) return next();                 // allow all if not configured
-  const key = req.get('x-api-key');
-  if (key !== API_KEY) return res.status(401).json({ error: 'Unauthorized' });
-  next();
-});
+app.use(apiKeyOrUser(API_KEY));
 
 console.log('DB VARS SNAPSHOT', {
   MYSQLHOST: process.env.MYSQLHOST,
@@ -63,53 +66,27 @@ app.get('/health', async (_req, res) => {
 
 
 // --- ITEMS: search the `item` table (fetch-only) ----------------------------
+// Ranked search, same contract as index.js (see itemSearch.js)
 app.get('/api/items/search', async (req, res) => {
   try {
     const q = String(req.query.q ?? '').trim();
     const field = String(req.query.field ?? 'all').toLowerCase();
-    const limit = Math.min(parseInt(String(req.query.limit ?? '50'), 10) || 50, 100);
-
-    const allow = new Set(['all','name','brand','quantity','feature','productcolor']);
-    if (!allow.has(field)) return res.status(400).json({ error: 'invalid_field' });
-
-    const where = [];
-    const params = [];
-
-    if (q) {
-      const like = `%${q}%`;
-      if (field === 'all') {
-        where.push(`(name LIKE ? OR brand LIKE ? OR quantity LIKE ? OR feature LIKE ? OR productColor LIKE ?)`);
-        params.push(like, like, like, like, like);
-      } else if (field === 'productcolor') {
-        where.push(`productColor LIKE ?`);
-        params.push(like);
-      } else {
-        where.push(`${field} LIKE ?`);
-        params.push(like);
-      }
+    const limit = Math.min(Math.max(parseInt(String(req.query.limit ?? '50'), 10) || 50, 1), 100);
+    const offset = Math.max(parseInt(String(req.query.offset ?? '0'), 10) || 0, 0);
+
+    if (!SEARCH_FIELDS.includes(field)) return res.status(400).json({ error: 'invalid_field' });
+    let unitOpts;
+    try {
+      unitOpts = unitPriceOptions(req.query);
+    } catch {
+      return res.status(400).json({ error: 'invalid_sort' });
     }
 
-    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-    const sql = `
-      SELECT id, name, brand, quantity, feature, productColor, picWebsite
-      FROM item
-      ${whereSql}
-      ORDER BY name ASC, brand ASC
-      LIMIT ?
-    `;
-    params.push(limit);
-
-    const [rows] = await pool.query(sql, params);
-    const items = rows.map(r => ({
-      id: String(r.id ?? ''),
-      name: String(r.name ?? ''),
-      brand: String(r.brand ?? ''),
-      quantity: String(r.quantity ?? ''),
-      feature: String(r.feature ?? ''),
-      productColor: String(r.productColor ?? ''),
-      picWebsite: String(r.picWebsite ?? ''),
-    }));
-    return res.json({ items });
+    const result = await searchItems({
+      q, field, limit, offset, unitPrice: unitOpts.include, sort: unitOpts.sort,
+    });
+    result.items = await withAllergenFlags(result.items, req.user?.userID);
+    return res.json(result);
   } catch (e) {
     console.error('Error in /api/items/search:', e);
     return res.status(500).json({ error: 'items_search_failed' });
@@ -175,7 +152,7 @@ app.get('/api/allergens', async (_req, res) => {
 // ---- PHONE: validate local number against a region --------------------------
 // Expects: { iso2: 'GB', local: '7123456789' }
 // Returns: { valid: boolean, e164?: '+447123456789' }
-app.post('/phone/validate', async (req, res) => {
+app.post('/phone/validate', rateLimit({ name: 'phone_validate', max: 60, windowSec: 10 * 60, key: byIp }), async (req, res) => {
   try {
     const iso2Req = String(req.body?.iso2 || '').trim().toUpperCase();
     const localRaw = String(req.body?.local || '');
@@ -380,7 +357,7 @@ app.get('/item-colors', async (req, res) => {
   }
 });
 
-app.post('/add', async (req, res) => {
+app.post('/add', requireRole('admin'), async (req, res) => {
   const { testing } = req.body || {};
   if (!testing) return res.status(400).json({ error: 'Field "testing" is required.' });
   try {
@@ -392,69 +369,9 @@ app.post('/add', async (req, res) => {
   }
 });
 
-// POST /signup
-app.post('/signup', async (req, res) => {
-  try {
-    const {
-      username,
-      email,
-      password,              // store hashed!
-      phone_country_code,    // e.g., "852"
-      phone_number,          // e.g., "12345678"
-      q1, a1, q2, a2, q3, a3
-    } = req.body;
-
-    // 1) Basic validation
-    if (!password || password.length < 8) {
-      return res.status(400).json({ error: 'Weak or missing password' });
-    }
-
-    // Accept any one identifier. If none provided, derive one from phone.
-    let finalUsername = username ?? null;
-    const finalEmail = email ?? null;
-
-    if (!finalUsername && !finalEmail && phone_country_code && phone_number) {
-      // generate a safe username from phone
-      finalUsername = `u_${phone_country_code}_${phone_number}`;
-    }
-
-    if (!finalUsername && !finalEmail) {
-      return res.status(400).json({ error: 'Provide username, email, or phone' });
-    }
-
-    // 2) Hash password (very important in production)
-    const hashed = await bcrypt.hash(password, 10);
-
-    // 3) Build INSERT. Example table columns:
-    // id (PK, auto), username (NULL ok), email (NULL ok),
-    // password_hash, phone_country_code, phone_number,
-    // q1,a1,q2,a2,q3,a3, created_at
-    const sql = `
-      INSERT INTO loginTable
-        (username, email, password_hash, phone_country_code, phone_number,
-         q1, a1, q2, a2, q3, a3, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
-    `;
-
-    const params = [
-      finalUsername,
-      finalEmail,
-      hashed,
-      phone_country_code ?? null,
-      phone_number ?? null,
-      q1 ?? null, a1 ?? null,
-      q2 ?? null, a2 ?? null,
-      q3 ?? null, a3 ?? null
-    ];
-
-    const [result] = await db.execute(sql, params);
-    // mysql2 returns insertId for AUTOINCREMENT PK
-    return res.status(201).json({ userID: result.insertId });
-  } catch (err) {
-    console.error('Signup error:', err); // <-- keep this to see real error cause
-    return res.status(500).json({ error: 'Server error' });
-  }
-});
+// POST /signup (+ POST /api/signup) -> unified signup service (signup.js)
+import signupRouter from './signup.mjs';
+app.use(signupRouter);
 
 
 // ---- Start server -----------------------------------------------------------
@@ -0,0 +1,68 @@
+// routes/itemAliases.mjs (ESM)
+import { Router } from 'express';
+import { requireAuth } from '../auth.js';
+import { rateLimit, byUserOrIp } from '../rateLimit.js';
+import { recordSelection, aliasMatches, decisiveAlias } from '../itemAlias.js';
+
+const router = Router();
+
+// Choices steer everyone's resolves, so they're tied to an account
+router.use(requireAuth);
+
+const selectLimit = rateLimit({ name: 'alias_select', max: 300, windowSec: 60 * 60, key: byUserOrIp });
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/aliases                                                    */
+/*  - Body: { item, brand?, quantity?: string|{value,unit}, itemID }          */
+/*    item/brand/quantity exactly as sent to the resolve call, itemID = the   */
+/*    candidate the user picked.                                              */
+/*  - 201: { aliasKey, itemID }                                               */
+/*  - 404: item_not_found                                                     */
+/* -------------------------------------------------------------------------- */
+router.post('/', selectLimit, async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const item = String(b.item ?? '').trim();
+    const itemID = String(b.itemID ?? '').trim();
+    if (!item) return res.status(400).json({ error: 'item_required' });
+    if (!itemID) return res.status(400).json({ error: 'itemID_required' });
+
+    const saved = await recordSelection({
+      item,
+      brand: String(b.brand ?? '').trim() || null,
+      quantity: b.quantity ?? null,
+      itemID,
+      userID: req.user.userID,
+    });
+    return res.status(201).json(saved);
+  } catch (e) {
+    if (e.message === 'item_not_found') return res.status(404).json({ error: 'item_not_found' });
+    console.error('POST /api/items/aliases error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/items/aliases?item=&brand=&quantity=                              */
+/*  - What the resolve endpoints would take from aliases for this input.      */
+/*  - 200: { aliasId, matches: [{ itemID, picks, mine }] }                    */
+/* -------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  try {
+    const item = String(req.query.item ?? '').trim();
+    if (!item) return res.status(400).json({ error: 'item_required' });
+
+    const matches = await aliasMatches({
+      item,
+      brand: String(req.query.brand ?? '').trim() || null,
+      quantity: String(req.query.quantity ?? '').trim() || null,
+      userID: req.user.userID,
+    });
+    return res.json({ aliasId: decisiveAlias(matches), matches });
+  } catch (e) {
+    console.error('GET /api/items/aliases error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+export default router;
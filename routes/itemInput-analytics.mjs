@@ -2,11 +2,15 @@
 // routes/itemInput-analytics.mjs (ESM)
 import { Router } from 'express';
 import { pool } from '../db.js'; // reuse your central mysql2/promise pool
+import { requireAuth } from '../auth.js';
 const router = Router();
 
+// Every report is for the signed-in user only (userID comes from the access token)
+router.use(requireAuth);
+
 /**
  * Build WHERE + params for analytics queries, mirroring your existing filters:
- * - userID (required)
+ * - userID (required; req.user.userID)
  * - from/to (date window)
  * - channel (lower-cased)
  * - chainShopID
@@ -34,12 +38,13 @@ function clamp(num, min, max, dflt) {
 
 /* -------------------------- DAILY (group by DATE) -------------------------- */
 /**
- * GET /api/item-input/analytics/daily?userID=...&from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
+ * GET /api/item-input/analytics/daily?from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
  * Response: { count, rows: [ { spending_date: 'YYYY-MM-DD', category, total_spent } ] }
  */
 router.get('/daily', async (req, res) => {
   try {
-    const { userID, from, to, channel, chainShopID } = req.query;
+    const { from, to, channel, chainShopID } = req.query;
+    const { userID } = req.user;
     const limit  = clamp(req.query.limit, 1, 365, 365);
     const offset = clamp(req.query.offset, 0, 1000000, 0);
 
@@ -74,12 +79,13 @@ router.get('/daily', async (req, res) => {
 
 /* ------------------------- MONTHLY (group by %Y-%m) ------------------------ */
 /**
- * GET /api/item-input/analytics/monthly?userID=...&from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
+ * GET /api/item-input/analytics/monthly?from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
  * Response: { count, rows: [ { spending_month: 'YYYY-MM', category, total_spent } ] }
  */
 router.get('/monthly', async (req, res) => {
   try {
-    const { userID, from, to, channel, chainShopID } = req.query;
+    const { from, to, channel, chainShopID } = req.query;
+    const { userID } = req.user;
     const limit  = clamp(req.query.limit, 1, 120, 120);
     const offset = clamp(req.query.offset, 0, 1000000, 0);
 
@@ -114,12 +120,13 @@ router.get('/monthly', async (req, res) => {
 
 /* -------------------------- YEARLY (group by YEAR) ------------------------- */
 /**
- * GET /api/item-input/analytics/yearly?userID=...&from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
+ * GET /api/item-input/analytics/yearly?from=YYYY-MM-DD&to=YYYY-MM-DD&channel=&chainShopID=&limit=&offset=
  * Response: { count, rows: [ { spending_year: 2026, category, total_spent } ] }
  */
 router.get('/yearly', async (req, res) => {
   try {
-    const { userID, from, to, channel, chainShopID } = req.query;
+    const { from, to, channel, chainShopID } = req.query;
+    const { userID } = req.user;
     const limit  = clamp(req.query.limit, 1, 50, 10);
     const offset = clamp(req.query.offset, 0, 1000000, 0);
 
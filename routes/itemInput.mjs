@@ -2,6 +2,12 @@
 // routes/itemInput.mjs
 import { Router } from 'express';
 import { pool } from '../db.js';
+import { requireAuth } from '../auth.js';
+import { categoryForText } from '../categories.js';
+import { suggestCategories, suggestCategoriesFor, AUTO_APPLY_THRESHOLD } from '../categorySuggest.js';
+import {
+  UNIT_PRICE_SORT_MAX, unitPriceOptions, unitPriceSortTooBroad, compareUnitPrice, withInputUnitPrices,
+} from '../unitPrice.js';
 
 const router = Router();
 
@@ -14,17 +20,29 @@ router.get('/health', (req, res) => {
 
 /* -------------------------------------------------------------------------- */
 /* GET /api/item-input                                                        */
-/*  - Returns rows from itemInput (same columns you see in the DB UI)         */
-/*  - Filters: userID, brand, itemName, itemID, chainShopID, channel, from,   */
-/*             to, limit, offset                                              */
+/*  - Returns the signed-in user's rows from itemInput                        */
+/*  - Filters: brand, itemName, itemID, chainShopID, channel, from, to,       */
+/*             limit, offset (userID comes from the access token)             */
 /*  - x-all: 1 header bypasses pagination                                     */
+/*  - unitPrice=1 adds unitPrice { per, normal, discount, best } from         */
+/*    priceValue and the row's (else the item's) quantity;                    */
+/*    sort=unitPrice orders by it (see unitPrice.js)                          */
+/*  - 400: unit_price_sort_too_broad { max } when sort=unitPrice matches more */
+/*    than UNIT_PRICE_SORT_MAX rows (narrow the filters or use x-all)         */
 /* -------------------------------------------------------------------------- */
-router.get('/', async (req, res) => {
+router.get('/', requireAuth, async (req, res) => {
   try {
+    let unitOpts;
+    try {
+      unitOpts = unitPriceOptions(req.query);
+    } catch {
+      return res.status(400).json({ error: 'invalid_sort' });
+    }
     const {
-      userID, brand, itemName, itemID, chainShopID, channel,
+      brand, itemName, itemID, chainShopID, channel,
       from, to, limit = '200', offset = '0',
     } = req.query;
+    const { userID } = req.user;
 
     // Allow clients to request "all" rows without changing the URL (via header)
     const returnAll = req.get('x-all') === '1';
@@ -32,7 +50,7 @@ router.get('/', async (req, res) => {
     const where = [];
     const params = [];
 
-    if (userID)      { where.push('`userID` = ?');        params.push(String(userID)); }
+    where.push('`userID` = ?'); params.push(String(userID));
     if (brand)       { where.push('`brand` = ?');         params.push(String(brand)); }
     if (itemName)    { where.push('`itemName` = ?');      params.push(String(itemName)); } // or LIKE if you prefer
     if (itemID)      { where.push('`itemID` = ?');        params.push(String(itemID)); }
@@ -51,16 +69,21 @@ router.get('/', async (req, res) => {
         id, userID, brand, itemName, itemNo, itemID, feature, quantity,
         priceValue, priceID, discountApplied, channel,
         shop_name, shop_address, chainShopID, createdAt,
-        category
+        category, categoryID
       FROM itemInput
       ${whereSql}
       ORDER BY createdAt DESC, id DESC
     `;
     
+    // Unit price order is applied in memory, so page after sorting
+    const byUnit = unitOpts.sort === 'unitPrice';
     const sql = returnAll ? baseSql : `${baseSql}\nLIMIT ? OFFSET ?`;
-    const finalParams = returnAll ? params : [...params, lim, off];
+    const finalParams = returnAll ? params : byUnit ? [...params, UNIT_PRICE_SORT_MAX + 1, 0] : [...params, lim, off];
 
     const [rows] = await pool.query(sql, finalParams);
+    if (byUnit && !returnAll && unitPriceSortTooBroad(rows)) {
+      return res.status(400).json({ error: 'unit_price_sort_too_broad', max: UNIT_PRICE_SORT_MAX });
+    }
 
     const data = rows.map(r => ({
       id:              r.id != null ? Number(r.id) : null,
@@ -80,9 +103,15 @@ router.get('/', async (req, res) => {
       chainShopID:     r.chainShopID ?? null,
       createdAt:       r.createdAt ? String(r.createdAt) : null,
       category:        r.category ?? null,
+      categoryID:      r.categoryID == null ? null : Number(r.categoryID),
     }));
 
-    res.json({ count: data.length, rows: data });
+    if (!unitOpts.include) return res.json({ count: data.length, rows: data });
+
+    const priced = await withInputUnitPrices(data);
+    const out = byUnit ? priced.sort(compareUnitPrice) : priced;
+    const paged = byUnit && !returnAll ? out.slice(off, off + lim) : out;
+    res.json({ count: paged.length, rows: paged });
   } catch (e) {
     console.error('GET /api/item-input error:', e);
     res.status(500).json({ error: 'server_error' });
@@ -91,30 +120,33 @@ router.get('/', async (req, res) => {
 
 /* -------------------------------------------------------------------------- */
 /* PATCH /api/item-input/category                                             */
-/*  - Body: { userID, itemID, priceID, chainShopID, createdAt, category }     */
-/*  - Updates category for the single most-recent matching row (LIMIT 1).     */
+/*  - Body: { itemID, priceID, chainShopID, createdAt, category }             */
+/*  - Updates category for the signed-in user's most-recent matching row.     */
 /*  - Normalizes category to lowercase; adjust as needed (or validate set).   */
+/*  - categoryID is set from the category tree when the text maps onto a node */
+/*    (see /api/categories/mappings), else null.                              */
 /* -------------------------------------------------------------------------- */
-router.patch('/category', async (req, res) => {
+router.patch('/category', requireAuth, async (req, res) => {
   try {
     const b = req.body ?? {};
-    const required = ['userID', 'itemID', 'priceID', 'chainShopID', 'createdAt', 'category'];
+    const required = ['itemID', 'priceID', 'chainShopID', 'createdAt', 'category'];
     for (const k of required) {
       if (b[k] == null || String(b[k]).trim() === '') {
         return res.status(400).json({ error: `${k}_required` });
       }
     }
 
-    const userID      = String(b.userID);
+    const userID      = String(req.user.userID);
     const itemID      = String(b.itemID);
     const priceID     = String(b.priceID);
     const chainShopID = String(b.chainShopID);
     const createdAt   = String(b.createdAt); // must match stored timestamp exactly
     const category    = String(b.category).trim().toLowerCase();
+    const categoryID  = await categoryForText(category);
 
     const sql = `
       UPDATE itemInput
-      SET category = ?
+      SET category = ?, categoryID = ?
       WHERE userID = ?
         AND itemID = ?
         AND priceID = ?
@@ -124,7 +156,7 @@ router.patch('/category', async (req, res) => {
       LIMIT 1
     `;
     const [result] = await pool.execute(sql, [
-      category, userID, itemID, priceID, chainShopID, createdAt,
+      category, categoryID, userID, itemID, priceID, chainShopID, createdAt,
     ]);
 
     if (result.affectedRows === 0) {
@@ -139,16 +171,18 @@ router.patch('/category', async (req, res) => {
 
 /* -------------------------------------------------------------------------- */
 /* POST /api/item-input/category/bulk                                         */
-/*  - Body: { updates: [ { userID, itemID, priceID, chainShopID, createdAt,   */
+/*  - Body: { updates: [ { itemID, priceID, chainShopID, createdAt,           */
 /*                        category }, ... ] }                                 */
 /*  - Applies per-row update in a transaction; responds with { ok, miss, fail }*/
+/*  - Only the signed-in user's rows are touched.                             */
 /* -------------------------------------------------------------------------- */
-router.post('/category/bulk', async (req, res) => {
+router.post('/category/bulk', requireAuth, async (req, res) => {
   try {
     const updates = Array.isArray(req.body?.updates) ? req.body.updates : [];
     if (updates.length === 0) return res.status(400).json({ error: 'updates_required' });
 
     let ok = 0, miss = 0, fail = 0;
+    const nodeOf = new Map(); // free text -> category node id (or null)
 
     const conn = await pool.getConnection();
     try {
@@ -156,7 +190,7 @@ router.post('/category/bulk', async (req, res) => {
 
       const sql = `
         UPDATE itemInput
-        SET category = ?
+        SET category = ?, categoryID = ?
         WHERE userID = ?
           AND itemID = ?
           AND priceID = ?
@@ -167,13 +201,16 @@ router.post('/category/bulk', async (req, res) => {
       `;
 
       for (const u of updates) {
-        const must = ['userID', 'itemID', 'priceID', 'chainShopID', 'createdAt', 'category'];
+        const must = ['itemID', 'priceID', 'chainShopID', 'createdAt', 'category'];
         if (!must.every(k => u[k] != null && String(u[k]).trim() !== '')) {
           fail++; continue;
         }
+        const category = String(u.category).trim().toLowerCase();
+        if (!nodeOf.has(category)) nodeOf.set(category, await categoryForText(category, conn));
         const params = [
-          String(u.category).trim().toLowerCase(),
-          String(u.userID),
+          category,
+          nodeOf.get(category),
+          String(req.user.userID),
           String(u.itemID),
           String(u.priceID),
           String(u.chainShopID),
@@ -184,11 +221,12 @@ router.post('/category/bulk', async (req, res) => {
       }
 
       await conn.commit();
-      conn.release();
       return res.json({ ok, miss, fail, count: updates.length });
     } catch (inner) {
-      try { await conn.rollback(); conn.release(); } catch {}
+      await conn.rollback().catch(() => {});
       throw inner;
+    } finally {
+      conn.release();
     }
   } catch (e) {
     console.error('POST /api/item-input/category/bulk error:', e);
@@ -196,6 +234,98 @@ router.post('/category/bulk', async (req, res) => {
   }
 });
 
+/* -------------------------------------------------------------------------- */
+/* POST /api/item-input/category/suggest                                      */
+/*  - Body: { id } | { ids: [...] } (the user's itemInput rows, max 100)      */
+/*          or { itemID?, itemName?, brand? } to preview before inserting     */
+/*          apply?: true, threshold?: 0..1 (default CATEGORY_AUTO_THRESHOLD), */
+/*          overwrite?: true                                                  */
+/*  - Sources: own rows for the itemID, other users' majority, the item's     */
+/*    default category, itemColor4 by name, own rows of the same brand.       */
+/*    Texts that resolve to the same category node pool their votes.          */
+/*  - apply writes the top suggestion when its confidence reaches threshold   */
+/*    and the row has no category yet (any category with overwrite).          */
+/*  - 200: { suggestions: [{ category, categoryID, confidence, sources }],    */
+/*           applied? }   or for ids: { results: [{ id, suggestions,          */
+/*           applied } | { id, error: 'not_found' }], applied: count }        */
+/*  - 400: invalid_id { id } (ids must be positive integers)                  */
+/* -------------------------------------------------------------------------- */
+const SUGGEST_MAX_ROWS = 100;
+
+router.post('/category/suggest', requireAuth, async (req, res) => {
+  try {
+    const b = req.body ?? {};
+    const userID = String(req.user.userID);
+    const apply = b.apply === true;
+    const overwrite = b.overwrite === true;
+    const threshold = b.threshold == null ? AUTO_APPLY_THRESHOLD : Number(b.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({ error: 'invalid_threshold' });
+    }
+
+    const ids = Array.isArray(b.ids) ? b.ids : b.id != null ? [b.id] : [];
+    if (!ids.length) {
+      if (apply) return res.status(400).json({ error: 'id_required' });
+      const itemID = b.itemID == null ? null : String(b.itemID).trim() || null;
+      const itemName = String(b.itemName ?? '').trim() || null;
+      const brand = String(b.brand ?? '').trim() || null;
+      if (!itemID && !itemName) return res.status(400).json({ error: 'itemID_or_itemName_required' });
+      return res.json({ suggestions: await suggestCategories({ itemID, itemName, brand, userID }) });
+    }
+    if (ids.length > SUGGEST_MAX_ROWS) {
+      return res.status(400).json({ error: 'too_many_ids', max: SUGGEST_MAX_ROWS });
+    }
+    const badId = ids.find((v) => !/^\d+$/.test(String(v ?? '').trim()) || Number(v) <= 0);
+    if (badId !== undefined) return res.status(400).json({ error: 'invalid_id', id: badId });
+
+    const [rows] = await pool.query(
+      `SELECT id, itemID, itemName, brand, category
+         FROM itemInput
+        WHERE userID = ? AND id IN (?)`,
+      [userID, ids.map(Number)]
+    );
+    const byId = new Map(rows.map((r) => [Number(r.id), r]));
+
+    // All rows' suggestions in one batch (a fixed number of queries)
+    const found = ids.map((raw) => byId.get(Number(raw))).filter(Boolean);
+    const batch = await suggestCategoriesFor(found.map((row) => ({
+      itemID: row.itemID, itemName: row.itemName, brand: row.brand, excludeCategory: row.category,
+    })), userID);
+    const suggestionsOf = new Map(found.map((row, i) => [row, batch[i]]));
+
+    const results = [];
+    let applied = 0;
+    for (const raw of ids) {
+      const row = byId.get(Number(raw));
+      if (!row) { results.push({ id: raw, error: 'not_found' }); continue; }
+
+      const suggestions = suggestionsOf.get(row);
+      const [top] = suggestions;
+      const canWrite = overwrite || !String(row.category ?? '').trim();
+      let done = false;
+      if (apply && canWrite && top && top.confidence >= threshold) {
+        await pool.execute(
+          'UPDATE itemInput SET category = ?, categoryID = ? WHERE id = ? AND userID = ?',
+          [top.category, top.categoryID, row.id, userID]
+        );
+        done = true;
+        applied++;
+      }
+      results.push({ id: Number(row.id), suggestions, applied: done });
+    }
+
+    if (b.id != null && !Array.isArray(b.ids)) {
+      const [one] = results;
+      if (one.error) return res.status(404).json({ error: 'not_found' });
+      return res.json({ suggestions: one.suggestions, applied: one.applied });
+    }
+    return res.json({ results, applied });
+  } catch (e) {
+    console.error('POST /api/item-input/category/suggest error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 /* -------------------------------------------------------------------------- */
 /* --- BEGIN DROP-IN: expose ALL rows from itemColor4 ----------------------- */
 /* -------------------------------------------------------------------------- */
@@ -251,10 +381,10 @@ router.get('/item-color4/items', async (_req, res) => {
 
 
 
-router.get('/by-brand', async (req, res) => {
+// GET /api/item-input/by-brand -> the signed-in user's rows ordered by brand
+router.get('/by-brand', requireAuth, async (req, res) => {
   try {
-    const { userID } = req.query;
-    if (!userID) return res.status(400).json({ error: 'userID_required' });
+    const { userID } = req.user;
 
     const [rows] = await pool.query(`
       SELECT 
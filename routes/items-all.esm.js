@@ -2,17 +2,34 @@
 // routes/items-all.esm.js
 import express from 'express';
 import { pool } from '../db.js';
+import {
+  UNIT_PRICE_SORT_MAX, unitPriceOptions, unitPriceSortTooBroad, compareUnitPrice, withItemUnitPrices,
+} from '../unitPrice.js';
 
 const router = express.Router();
 
-// GET /api/items/all — return ALL rows from `item`
-router.get('/api/items/all', async (_req, res) => {
+// GET /api/items/all — return ALL live (not deleted) rows from `item`
+// ?unitPrice=1 adds latestPrice + unitPrice per item; ?sort=unitPrice orders by it.
+// Either one -> 400 unit_price_sort_too_broad { max } when the table holds more
+// than UNIT_PRICE_SORT_MAX live items (use /api/items/search, which pages).
+router.get('/api/items/all', async (req, res) => {
   try {
+    let unitOpts;
+    try {
+      unitOpts = unitPriceOptions(req.query);
+    } catch {
+      return res.status(400).json({ error: 'invalid_sort' });
+    }
+
     const [rows] = await pool.query(`
       SELECT id, name, brand, quantity, feature, productColor, picWebsite
       FROM item
+      WHERE deletedAt IS NULL
       ORDER BY name ASC, brand ASC
     `);
+    if (unitOpts.include && unitPriceSortTooBroad(rows)) {
+      return res.status(400).json({ error: 'unit_price_sort_too_broad', max: UNIT_PRICE_SORT_MAX });
+    }
     const data = rows.map(r => ({
       id: String(r.id ?? ''),
       name: String(r.name ?? ''),
@@ -22,8 +39,10 @@ router.get('/api/items/all', async (_req, res) => {
       productColor: String(r.productColor ?? ''),
       picWebsite: String(r.picWebsite ?? ''),
     }));
+    const out = unitOpts.include ? await withItemUnitPrices(data) : data;
+    if (unitOpts.sort === 'unitPrice') out.sort(compareUnitPrice);
     res.set('Cache-Control', 'no-store');
-    res.json({ count: data.length, rows: data });
+    res.json({ count: out.length, rows: out });
   } catch (e) {
     console.error('GET /api/items/all error:', e);
     res.status(500).json({ error: 'server_error' });
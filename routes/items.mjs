@@ -0,0 +1,732 @@
+// routes/items.mjs (ESM)
+// Catalog writes and lookups under /api/items (search/resolve stay in index.js):
+// create, CSV import, barcodes, edit, images, soft delete, merging duplicates and the
+// change history (every write records an itemHistory entry, see itemHistory.js).
+import express, { Router } from 'express';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { requireRole, actorOf } from '../auth.js';
+import { rateLimit, byUserOrIp } from '../rateLimit.js';
+import { barcodesFromBody, addBarcodes, barcodesFor, itemByGtin, normalizeGtin } from '../barcode.js';
+import { liveRedirectsFor, addRedirects, removeRedirects } from '../itemRedirect.js';
+import { categoryIdFrom, assertCategoryIds, categoryPaths } from '../categories.js';
+import {
+  allergenNames, canonicalAllergens, itemAllergens, setItemAllergens, setDerivedAllergens,
+  mergeItemAllergens, withAllergenFlags,
+} from '../allergens.js';
+import { parseIngredients, loadSynonyms, deriveAllergens } from '../ingredients.js';
+import { loadImage } from '../itemImage.js';
+import { buildImport } from '../itemImport.js';
+import {
+  HISTORY_COLUMNS, snapshots, diffSnapshots, recordHistory, withHistory, itemHistory, historyEntry,
+} from '../itemHistory.js';
+
+const router = Router();
+
+// Catalog writers: per signed-in user (or IP for key-only clients)
+const itemBatchLimit = rateLimit({ name: 'item_batch', max: 30, windowSec: 60 * 60, key: byUserOrIp });
+
+const genId = () => crypto.randomBytes(6).toString('base64url'); // ~8 chars
+const tidy = (v) => (v == null ? null : String(v).trim() || null);
+
+// Columns PATCH /api/items/:id may change; name/quantity can't be emptied
+const EDITABLE = ['name', 'brand', 'quantity', 'feature', 'productColor', 'picWebsite'];
+const REQUIRED = new Set(['name', 'quantity']);
+
+const toItem = (r) => ({
+  id: String(r.id ?? ''),
+  name: String(r.name ?? ''),
+  brand: String(r.brand ?? ''),
+  quantity: String(r.quantity ?? ''),
+  feature: String(r.feature ?? ''),
+  productColor: String(r.productColor ?? ''),
+  picWebsite: String(r.picWebsite ?? ''),
+  categoryID: r.categoryID == null ? null : Number(r.categoryID),
+  ingredients: r.ingredients == null ? null : String(r.ingredients),
+});
+
+/** Live (not deleted) item by id, or null */
+async function loadItem(id, conn = pool, { lock = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT id, name, brand, quantity, feature, productColor, picWebsite, categoryID, ingredients
+       FROM item
+      WHERE id = ? AND deletedAt IS NULL
+      LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+    [String(id)]
+  );
+  return rows[0] ? toItem(rows[0]) : null;
+}
+
+/** 404, or 409 item_merged { redirectTo } when the id was merged into a live item */
+async function missingItem(res, id) {
+  const redirectTo = (await liveRedirectsFor([id])).get(String(id));
+  if (redirectTo) return res.status(409).json({ error: 'item_merged', redirectTo });
+  return res.status(404).json({ error: 'not_found' });
+}
+
+/**
+ * Insert items (+ their barcodes) in one transaction, recorded as created by
+ * `changedBy` (a userID, or 'api_key': see actorOf). `items` are { id, name,
+ * brand, quantity, feature, productColor, picWebsite, categoryID, gtins }.
+ */
+async function insertItems(items, changedBy = null) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await assertCategoryIds(items.map((it) => it.categoryID), conn);
+    await withHistory(conn, items.map((it) => it.id), 'create', changedBy, () => conn.query(
+      `INSERT INTO item (id, name, brand, quantity, feature, productColor, picWebsite, categoryID)
+       VALUES ?`,
+      [items.map((it) => [
+        it.id, it.name, it.brand, it.quantity, it.feature, it.productColor, it.picWebsite, it.categoryID,
+      ])]
+    ));
+    for (const it of items) await addBarcodes(it.id, it.gtins, conn);
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback().catch(() => {});
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/** Request body item -> insertable item; null when name/quantity missing */
+function itemFromBody(it) {
+  const name = tidy(it?.name);
+  const quantity = tidy(it?.quantity);
+  if (!name || !quantity) return null;
+  return {
+    id: tidy(it?.id) || genId(),
+    name,
+    brand: tidy(it?.brand),
+    quantity,
+    feature: tidy(it?.feature),
+    productColor: tidy(it?.productColor),
+    picWebsite: tidy(it?.picWebsite),
+    categoryID: categoryIdFrom(it?.categoryID),
+    gtins: barcodesFromBody(it),
+  };
+}
+
+function writeError(res, e, label) {
+  if (e.message === 'invalid_barcode') {
+    return res.status(400).json({ error: 'invalid_barcode', barcode: e.value, ...(e.index != null && { index: e.index }) });
+  }
+  if (e.message === 'barcode_in_use') {
+    return res.status(409).json({ error: 'barcode_in_use', barcode: e.value, itemID: e.itemID });
+  }
+  if (e.message === 'category_not_found') {
+    return res.status(400).json({ error: 'category_not_found', categoryID: e.categoryID, ...(e.index != null && { index: e.index }) });
+  }
+  if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'duplicate_id' });
+  console.error(`${label} error:`, e);
+  return res.status(500).json({ error: 'server_error' });
+}
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/create                                                     */
+/*  - Body: { id?, name, brand?, quantity, feature?, productColor?,           */
+/*            picWebsite?, barcode?, barcodes?: [], categoryID? }             */
+/*  - Barcodes: GTIN-8/12/13/14 with a valid check digit.                     */
+/*  - categoryID: default category (see /api/categories) that new itemInput   */
+/*    rows for this item inherit.                                             */
+/*  - 201: { id, barcodes }                                                   */
+/*  - 400: invalid_barcode { barcode } | category_not_found { categoryID }    */
+/*  - 409: barcode_in_use { barcode, itemID } | duplicate_id                  */
+/* -------------------------------------------------------------------------- */
+router.post('/create', itemBatchLimit, async (req, res) => {
+  try {
+    if (!tidy(req.body?.name)) return res.status(400).json({ error: 'name_required' });
+    if (!tidy(req.body?.quantity)) return res.status(400).json({ error: 'quantity_required' });
+
+    const item = itemFromBody(req.body);
+    await insertItems([item], actorOf(req));
+    return res.status(201).json({ id: item.id, barcodes: (await barcodesFor([item.id])).get(item.id) ?? [] });
+  } catch (e) {
+    return writeError(res, e, 'POST /api/items/create');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/create-batch                                               */
+/*  - Body: { items: [ { id?, name, brand?, quantity, feature?,               */
+/*            productColor?, picWebsite?, barcode?, barcodes?,                */
+/*            categoryID? }, ... ] }                                          */
+/*  - Rows without name/quantity are skipped; a bad barcode fails the batch.  */
+/*  - 201: { ids }                                                            */
+/* -------------------------------------------------------------------------- */
+router.post('/create-batch', itemBatchLimit, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
+    if (items.length === 0) return res.status(400).json({ error: 'items_required' });
+
+    const rows = [];
+    for (const [index, it] of items.entries()) {
+      try {
+        const row = itemFromBody(it);
+        if (row) rows.push(row); // skip invalid rows
+      } catch (e) {
+        throw Object.assign(e, { index });
+      }
+    }
+    if (rows.length === 0) return res.status(400).json({ error: 'no_valid_rows' });
+
+    await insertItems(rows, actorOf(req));
+    return res.status(201).json({ ids: rows.map((r) => r.id) });
+  } catch (e) {
+    return writeError(res, e, 'POST /api/items/create-batch');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/import                      (contributor)                  */
+/*  - Body: text/csv (options in the query string) or JSON                    */
+/*      { csv, mapping?, mode?, onDuplicate? }                                */
+/*  - mapping: { field: "CSV header" } for id, name, brand, quantity,         */
+/*    feature, productColor, picWebsite, categoryID, category (free text),    */
+/*    barcodes (split on ; or |); unmapped fields are matched by header name. */
+/*    As a query string: mapping[name]=Product or mapping={"name":...}.       */
+/*  - mode: dryRun (default) reports only; commit inserts every 'ok' row in   */
+/*    one transaction and writes nothing if any row has errors.               */
+/*  - onDuplicate: skip (default) | import | error. Duplicates share name +   */
+/*    brand + canonical quantity with a live item or an earlier row.          */
+/*  - 200 (dryRun) / 201 (commit): { mode, columns: { mapping, ignored },     */
+/*      totals: { rows, ok, duplicates, errors }, rows: [{ row, status, id,   */
+/*      errors, warnings, duplicateOf? }], imported? }                        */
+/*    row = record number (header = 1); ids generated on a dry run are only   */
+/*    a preview. JSON bodies are capped at 512kb; send bigger files as CSV.   */
+/*    Row errors include id_too_long / name_too_long { max } (column sizes).  */
+/*  - 400: csv_required | invalid_csv { line } | csv_empty | invalid_mode |   */
+/*         invalid_mapping { field } | column_not_found { field, header } |   */
+/*         name_column_required | quantity_column_required |                  */
+/*         too_many_rows { max }                                              */
+/*  - 422: import_has_errors (commit only; the report is included)            */
+/* -------------------------------------------------------------------------- */
+const IMPORT_MODES = ['dryRun', 'commit'];
+const ON_DUPLICATE = ['skip', 'import', 'error'];
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+/** JSON body or query string -> import options */
+function importOptions(req) {
+  const src = typeof req.body === 'string' ? req.query : { ...req.query, ...req.body };
+  let mapping = src.mapping ?? {};
+  if (typeof mapping === 'string') {
+    try { mapping = JSON.parse(mapping); } catch { mapping = null; }
+  }
+  return {
+    csv: typeof req.body === 'string' ? req.body : src.csv,
+    mapping,
+    mode: String(src.mode ?? 'dryRun'),
+    onDuplicate: String(src.onDuplicate ?? 'skip'),
+  };
+}
+
+router.post('/import', requireRole('contributor'), csvBody, (req, res, next) => {
+  // Only a commit counts against the catalog write limit
+  if (importOptions(req).mode === 'commit') return itemBatchLimit(req, res, next);
+  return next();
+}, async (req, res) => {
+  const { csv, mapping, mode, onDuplicate } = importOptions(req);
+  if (typeof csv !== 'string' || !csv.trim()) return res.status(400).json({ error: 'csv_required' });
+  if (!IMPORT_MODES.includes(mode)) return res.status(400).json({ error: 'invalid_mode' });
+  if (!ON_DUPLICATE.includes(onDuplicate)) return res.status(400).json({ error: 'invalid_onDuplicate' });
+  if (mapping == null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return res.status(400).json({ error: 'invalid_mapping' });
+  }
+
+  try {
+    const { report, rows } = await buildImport(csv, { mapping, newId: genId });
+    if (onDuplicate === 'error') {
+      for (const r of report.rows.filter((x) => x.status === 'duplicate')) {
+        r.status = 'error';
+        r.errors.push({ field: 'name', error: 'duplicate_item', ...r.duplicateOf });
+      }
+      report.totals.errors += report.totals.duplicates;
+      report.totals.duplicates = 0;
+    }
+    if (mode === 'dryRun') return res.json({ mode, ...report });
+    if (report.totals.errors) return res.status(422).json({ error: 'import_has_errors', mode, ...report });
+
+    const accepted = rows
+      .filter((r) => r.status === 'ok' || (r.status === 'duplicate' && onDuplicate === 'import'))
+      .map((r) => r.item);
+    if (accepted.length) await insertItems(accepted, req.user.userID);
+    return res.status(201).json({ mode, ...report, imported: accepted.map((it) => it.id) });
+  } catch (e) {
+    if (e.message === 'invalid_csv') return res.status(400).json({ error: 'invalid_csv', line: e.line });
+    if (e.message === 'too_many_rows') return res.status(400).json({ error: 'too_many_rows', max: e.max });
+    if (e.message === 'invalid_mapping') return res.status(400).json({ error: 'invalid_mapping', field: e.field });
+    if (e.message === 'column_not_found') {
+      return res.status(400).json({ error: 'column_not_found', field: e.field, header: e.header });
+    }
+    if (['csv_empty', 'name_column_required', 'quantity_column_required'].includes(e.message)) {
+      return res.status(400).json({ error: e.message });
+    }
+    return writeError(res, e, 'POST /api/items/import');
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/items/by-barcode/:code                                            */
+/*  - 200: { item: { id, name, brand, quantity, feature, productColor,        */
+/*           picWebsite, barcodes } }                                         */
+/*  - 400: invalid_barcode (bad length / check digit) | 404: not_found        */
+/* -------------------------------------------------------------------------- */
+router.get('/by-barcode/:code', async (req, res) => {
+  try {
+    const gtin = normalizeGtin(req.params.code);
+    if (!gtin) return res.status(400).json({ error: 'invalid_barcode' });
+
+    const item = await itemByGtin(gtin);
+    if (!item) return res.status(404).json({ error: 'not_found' });
+
+    const barcodes = (await barcodesFor([item.id])).get(item.id) ?? [];
+    return res.json({ item: { ...item, barcodes } });
+  } catch (e) {
+    console.error('GET /api/items/by-barcode/:code error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/merge                       (contributor)                  */
+/*  - Body: { targetID, sourceIDs: [...] }                                    */
+/*  - Moves prices, itemInput rows, barcodes and aliases from the sources to  */
+/*    targetID, soft-deletes the sources and redirects their ids; one         */
+/*    transaction. Allergens are combined ('contains' wins).                  */
+/*  - 200: { targetID, merged: [...], moved: { prices, itemInput, barcodes,   */
+/*           aliases, allergens } }                                           */
+/* -------------------------------------------------------------------------- */
+router.post('/merge', requireRole('contributor'), async (req, res) => {
+  const targetID = String(req.body?.targetID ?? '').trim();
+  const sourceIDs = [...new Set(
+    (Array.isArray(req.body?.sourceIDs) ? req.body.sourceIDs : []).map((v) => String(v ?? '').trim()).filter(Boolean)
+  )];
+  if (!targetID) return res.status(400).json({ error: 'targetID_required' });
+  if (!sourceIDs.length) return res.status(400).json({ error: 'sourceIDs_required' });
+  if (sourceIDs.includes(targetID)) return res.status(400).json({ error: 'target_in_sources' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    if (!(await loadItem(targetID, conn, { lock: true }))) {
+      await conn.rollback();
+      return missingItem(res, targetID);
+    }
+    const [found] = await conn.query(
+      'SELECT id FROM item WHERE id IN (?) AND deletedAt IS NULL FOR UPDATE',
+      [sourceIDs]
+    );
+    const live = new Set(found.map((r) => String(r.id)));
+    const missing = sourceIDs.filter((id) => !live.has(id));
+    if (missing.length) {
+      await conn.rollback();
+      return res.status(404).json({ error: 'source_not_found', ids: missing });
+    }
+
+    const move = async (table) =>
+      (await conn.query(`UPDATE ${table} SET itemID = ? WHERE itemID IN (?)`, [targetID, sourceIDs]))[0].affectedRows;
+    const moved = {
+      prices: await move('prices'),
+      itemInput: await move('itemInput'),
+      barcodes: await move('itemBarcode'),
+      aliases: await move('itemAlias'),
+      allergens: await mergeItemAllergens(conn, sourceIDs, targetID),
+    };
+    await addRedirects(conn, sourceIDs, targetID, req.user.userID);
+    await withHistory(
+      conn, [...sourceIDs, targetID], 'merge', req.user.userID,
+      () => conn.query('UPDATE item SET deletedAt = NOW() WHERE id IN (?)', [sourceIDs]),
+      (id) => (id === targetID ? { sourceIDs } : { targetID })
+    );
+
+    await conn.commit();
+    return res.json({ targetID, merged: sourceIDs, moved });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error('POST /api/items/merge error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  } finally {
+    conn?.release();
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/items/:id                                                         */
+/*  - Follows merge redirects: an old id returns the surviving item (404 once */
+/*    that item is deleted too).                                              */
+/*  - 200: { item: { ...item, categoryID, barcodes, categoryPath,             */
+/*           allergens: { contains, mayContain }, allergenConflict? },        */
+/*           redirectedFrom? }   categoryPath like "Dairy > Milk" or null     */
+/*    allergenConflict: the signed-in user's profile allergens found (null    */
+/*    when none); only present when the user has a profile.                   */
+/* -------------------------------------------------------------------------- */
+router.get('/:id', async (req, res) => {
+  try {
+    const asked = String(req.params.id);
+    const id = (await liveRedirectsFor([asked])).get(asked) ?? asked;
+    const item = await loadItem(id);
+    if (!item) return res.status(404).json({ error: 'not_found' });
+
+    const barcodes = (await barcodesFor([item.id])).get(item.id) ?? [];
+    const categoryPath = (await categoryPaths([item.categoryID])).get(item.categoryID) ?? null;
+    const [flagged] = await withAllergenFlags([{ ...item, barcodes, categoryPath }], req.user?.userID);
+    return res.json({ item: flagged, ...(id !== asked && { redirectedFrom: asked }) });
+  } catch (e) {
+    console.error('GET /api/items/:id error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/items/:id/image?w=256                                             */
+/*  - The item's picWebsite served from a local copy (see itemImage.js);      */
+/*    fetched on first use, refreshed in the background once stale.           */
+/*  - w (optional): thumbnail width, rounded up to 64/128/256/512/1024.       */
+/*    Resized with sharp, never enlarged. A resizer plugged in with           */
+/*    setImageResizer() may return null; the original is sent then.           */
+/*  - Follows merge redirects like GET /api/items/:id.                        */
+/*  - 200: image bytes with Content-Type, ETag and Cache-Control              */
+/*  - 304: If-None-Match matched                                              */
+/*  - 400: invalid_width                                                      */
+/*  - 404: not_found | no_image                                               */
+/*  - 413: image_too_large { max }                                            */
+/*  - 415: unsupported_image_type { contentType }                             */
+/*  - 502: image_fetch_failed | invalid_image_url                             */
+/* -------------------------------------------------------------------------- */
+const IMAGE_MAX_AGE = 24 * 60 * 60;
+
+router.get('/:id/image', async (req, res) => {
+  try {
+    let width = null;
+    if (req.query.w != null && req.query.w !== '') {
+      width = Number(req.query.w);
+      if (!Number.isInteger(width) || width <= 0) return res.status(400).json({ error: 'invalid_width' });
+    }
+
+    const asked = String(req.params.id);
+    const id = (await liveRedirectsFor([asked])).get(asked) ?? asked;
+    const item = await loadItem(id);
+    if (!item) return res.status(404).json({ error: 'not_found' });
+    if (!item.picWebsite) return res.status(404).json({ error: 'no_image' });
+
+    const img = await loadImage(item.picWebsite, { width });
+    res.set({
+      'Content-Type': img.contentType,
+      ETag: img.etag,
+      'Last-Modified': new Date(img.fetchedAt).toUTCString(),
+      // A stale copy is being replaced; let clients come back for it soon
+      'Cache-Control': `public, max-age=${img.stale ? 300 : IMAGE_MAX_AGE}`,
+    });
+    if (req.headers['if-none-match'] === img.etag) return res.status(304).end();
+    return res.send(img.body);
+  } catch (e) {
+    if (e.message === 'image_too_large') return res.status(413).json({ error: 'image_too_large', max: e.max });
+    if (e.message === 'unsupported_image_type') {
+      return res.status(415).json({ error: 'unsupported_image_type', contentType: e.contentType });
+    }
+    if (e.message === 'image_fetch_failed' || e.message === 'invalid_image_url') {
+      return res.status(502).json({ error: e.message, ...(e.status && { status: e.status }) });
+    }
+    console.error('GET /api/items/:id/image error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PATCH /api/items/:id                        (contributor)                  */
+/*  - Body (all optional): { name, brand, quantity, feature, productColor,    */
+/*      picWebsite, categoryID, barcodes?: [] }   categoryID null clears the  */
+/*      default category; barcodes replaces the item's codes.                 */
+/*  - 200: { item: { ...item, barcodes } }                                    */
+/*  - 400: category_not_found { categoryID }                                  */
+/*  - 409: item_merged { redirectTo } | barcode_in_use { barcode, itemID }    */
+/* -------------------------------------------------------------------------- */
+router.patch('/:id', requireRole('contributor'), async (req, res) => {
+  const id = String(req.params.id);
+  const b = req.body ?? {};
+  const fields = [];
+  const values = [];
+  for (const col of EDITABLE) {
+    if (!(col in b)) continue;
+    const v = tidy(b[col]);
+    if (!v && REQUIRED.has(col)) return res.status(400).json({ error: `${col}_required` });
+    fields.push(`${col} = ?`);
+    values.push(v);
+  }
+
+  let gtins = null;
+  let categoryID;
+  try {
+    if ('barcodes' in b) gtins = barcodesFromBody({ barcodes: Array.isArray(b.barcodes) ? b.barcodes : [] });
+    if ('categoryID' in b) {
+      categoryID = categoryIdFrom(b.categoryID);
+      fields.push('categoryID = ?');
+      values.push(categoryID);
+    }
+  } catch (e) {
+    return writeError(res, e, 'PATCH /api/items/:id');
+  }
+  if (!fields.length && !gtins) return res.status(400).json({ error: 'No fields to update' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    if (!(await loadItem(id, conn, { lock: true }))) {
+      await conn.rollback();
+      return missingItem(res, id);
+    }
+    if (categoryID != null) await assertCategoryIds([categoryID], conn);
+
+    fields.push('updatedAt = NOW()');
+    await withHistory(conn, [id], 'update', req.user.userID,
+      () => conn.query(`UPDATE item SET ${fields.join(', ')} WHERE id = ?`, [...values, id]));
+    if (gtins) {
+      await conn.query('DELETE FROM itemBarcode WHERE itemID = ?', [id]);
+      await addBarcodes(id, gtins, conn);
+    }
+
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    const item = await loadItem(id);
+    const barcodes = (await barcodesFor([id])).get(id) ?? [];
+    return res.json({ item: { ...item, barcodes } });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    return writeError(res, e, 'PATCH /api/items/:id');
+  } finally {
+    conn?.release();
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* PUT /api/items/:id/allergens                (contributor)                  */
+/*  - Body: { contains: ["Milk"], mayContain: ["Nuts"] }   replaces all the   */
+/*    item's allergens, including ones derived from its ingredients           */
+/*    (names from GET /api/allergens, any case; contains wins over            */
+/*    mayContain for a name in both).                                         */
+/*  - 200: { itemID, allergens: { contains, mayContain } }                    */
+/*  - 400: unknown_allergen { allergen }                                      */
+/* -------------------------------------------------------------------------- */
+router.put('/:id/allergens', requireRole('contributor'), async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const b = req.body ?? {};
+    const list = (v) => (Array.isArray(v) ? v : []);
+    if (!Array.isArray(b.contains) && !Array.isArray(b.mayContain)) {
+      return res.status(400).json({ error: 'allergens_required' });
+    }
+    const contains = await canonicalAllergens(list(b.contains));
+    const mayContain = await canonicalAllergens(list(b.mayContain));
+
+    // One transaction, so readers never see the item between the delete and
+    // the insert with no allergens at all, and a failed insert keeps the old set
+    const conn = await pool.getConnection();
+    let allergens;
+    try {
+      await conn.beginTransaction();
+      if (!(await loadItem(id, conn, { lock: true }))) {
+        await conn.rollback();
+        return missingItem(res, id);
+      }
+      await setItemAllergens(id, { contains, mayContain }, req.user.userID, conn);
+      allergens = (await itemAllergens([id], conn)).get(id) ?? { contains: [], mayContain: [] };
+      await conn.commit();
+    } catch (inner) {
+      await conn.rollback().catch(() => {});
+      throw inner;
+    } finally {
+      conn.release();
+    }
+    return res.json({ itemID: id, allergens });
+  } catch (e) {
+    if (e.message === 'unknown_allergen') return res.status(400).json({ error: 'unknown_allergen', allergen: e.value });
+    console.error('PUT /api/items/:id/allergens error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/:id/ingredients             (contributor)                  */
+/*  - Body: { ingredients: "Wheat flour, MILK, ... May contain nuts.",        */
+/*            dryRun?: true }                                                 */
+/*  - Parses the list (see ingredients.js), maps terms to allergens through   */
+/*    allergenSynonym, stores the text on the item and replaces the           */
+/*    allergens previously derived from ingredients. Hand-tagged allergens    */
+/*    (PUT .../allergens) are kept. dryRun only reports.                      */
+/*  - 200: { itemID, dryRun, derived: { contains, mayContain, matches,        */
+/*           unmatchedEmphasis }, allergens: { contains, mayContain } }       */
+/*    unmatchedEmphasis: bold / UPPERCASE terms no synonym explains           */
+/* -------------------------------------------------------------------------- */
+const MAX_INGREDIENTS_LEN = 10000;
+
+router.post('/:id/ingredients', requireRole('contributor'), async (req, res) => {
+  const id = String(req.params.id);
+  const text = String(req.body?.ingredients ?? '').trim();
+  const dryRun = req.body?.dryRun === true;
+  if (!text) return res.status(400).json({ error: 'ingredients_required' });
+  if (text.length > MAX_INGREDIENTS_LEN) {
+    return res.status(400).json({ error: 'ingredients_too_long', max: MAX_INGREDIENTS_LEN });
+  }
+
+  let conn;
+  try {
+    const [synonyms, known] = await Promise.all([loadSynonyms(), allergenNames()]);
+    const derived = deriveAllergens(parseIngredients(text), synonyms, known);
+
+    if (dryRun) {
+      if (!(await loadItem(id))) return missingItem(res, id);
+      const allergens = (await itemAllergens([id])).get(id) ?? { contains: [], mayContain: [] };
+      return res.json({ itemID: id, dryRun, derived, allergens });
+    }
+
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    if (!(await loadItem(id, conn, { lock: true }))) {
+      await conn.rollback();
+      return missingItem(res, id);
+    }
+    await withHistory(conn, [id], 'update', req.user.userID,
+      () => conn.query('UPDATE item SET ingredients = ?, updatedAt = NOW() WHERE id = ?', [text, id]));
+    await setDerivedAllergens(id, derived, req.user.userID, conn);
+    const allergens = (await itemAllergens([id], conn)).get(id) ?? { contains: [], mayContain: [] };
+    await conn.commit();
+
+    return res.json({ itemID: id, dryRun, derived, allergens });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error('POST /api/items/:id/ingredients error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  } finally {
+    conn?.release();
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* GET /api/items/:id/history?limit=50&before=<version>      (contributor)    */
+/*  - Every create / update / merge / delete / revert of this id, newest      */
+/*    first. Merged-away and deleted ids keep their history (no redirect).    */
+/*  - 200: { itemID, history: [{ version, action, changedBy, changedAt,       */
+/*           changes: { field: { from, to } }, after, details }],             */
+/*           nextBefore }   after = the item as that entry left it            */
+/*    changedBy: a userID, or 'api_key' for a create through the shared key.  */
+/*  - 404: not_found                                                          */
+/* -------------------------------------------------------------------------- */
+router.get('/:id/history', requireRole('contributor'), async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 50, 200));
+    const before = parseInt(req.query.before, 10);
+
+    if (!(await snapshots([id])).has(id)) return res.status(404).json({ error: 'not_found' });
+    const page = await itemHistory(id, { limit, before: Number.isInteger(before) && before > 0 ? before : null });
+    return res.json({ itemID: id, ...page });
+  } catch (e) {
+    console.error('GET /api/items/:id/history error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/items/:id/revert                  (contributor)                  */
+/*  - Body: { version }   a version from GET .../history; the item's columns  */
+/*    go back to that entry's `after`, recorded as a 'revert' entry.          */
+/*  - Reverting to a live version restores a deleted or merged-away item;     */
+/*    its merge redirect is removed (prices, barcodes etc. moved by the       */
+/*    merge stay on the surviving item). Allergens derived from ingredients   */
+/*    follow the restored ingredient list.                                    */
+/*  - 200: { itemID, revertedTo, changes, restored, item | null }             */
+/*    changes {} = already at that version (nothing recorded)                 */
+/*  - 400: version_required | category_not_found { categoryID }               */
+/*  - 404: not_found | version_not_found                                      */
+/* -------------------------------------------------------------------------- */
+router.post('/:id/revert', requireRole('contributor'), async (req, res) => {
+  const id = String(req.params.id);
+  const version = Number(req.body?.version);
+  if (!Number.isInteger(version) || version <= 0) return res.status(400).json({ error: 'version_required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const [locked] = await conn.query('SELECT id FROM item WHERE id = ? FOR UPDATE', [id]);
+    const entry = locked.length ? await historyEntry(id, version, conn) : null;
+    if (!entry?.after) {
+      await conn.rollback();
+      return res.status(404).json({ error: locked.length ? 'version_not_found' : 'not_found' });
+    }
+
+    const current = (await snapshots([id], conn)).get(id);
+    const target = entry.after;
+    const changes = diffSnapshots(current, target);
+    const restored = current.deletedAt != null && target.deletedAt == null;
+    if (Object.keys(changes).length) {
+      if (target.categoryID != null) await assertCategoryIds([target.categoryID], conn);
+      const value = (col) => (col === 'deletedAt' && target[col] ? new Date(target[col]) : target[col] ?? null);
+      await conn.query(
+        `UPDATE item SET ${HISTORY_COLUMNS.map((c) => `${c} = ?`).join(', ')}, updatedAt = NOW() WHERE id = ?`,
+        [...HISTORY_COLUMNS.map(value), id]
+      );
+      if (restored) await removeRedirects(conn, [id]);
+      if ('ingredients' in changes) {
+        const derived = target.ingredients
+          ? deriveAllergens(parseIngredients(target.ingredients), await loadSynonyms(), await allergenNames())
+          : { contains: [], mayContain: [] };
+        await setDerivedAllergens(id, derived, req.user.userID, conn);
+      }
+      await recordHistory(
+        conn,
+        [{ itemID: id, action: 'revert', before: current, after: target, details: { version } }],
+        req.user.userID
+      );
+    }
+    await conn.commit();
+    conn.release();
+    conn = null;
+
+    return res.json({ itemID: id, revertedTo: version, changes, restored, item: await loadItem(id) });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    return writeError(res, e, 'POST /api/items/:id/revert');
+  } finally {
+    conn?.release();
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* DELETE /api/items/:id                       (contributor)                  */
+/*  - Soft delete: the row stays for existing prices / receipts but leaves    */
+/*    search, resolve and listings. Undo with POST .../revert.                */
+/*  - 200: { deleted: true, id }                                              */
+/* -------------------------------------------------------------------------- */
+router.delete('/:id', requireRole('contributor'), async (req, res) => {
+  const id = String(req.params.id);
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const [result] = await withHistory(conn, [id], 'delete', req.user.userID, () => conn.execute(
+      'UPDATE item SET deletedAt = NOW() WHERE id = ? AND deletedAt IS NULL',
+      [id]
+    ));
+    await conn.commit();
+    conn.release();
+    conn = null;
+    if (result.affectedRows === 0) return missingItem(res, id);
+    return res.json({ deleted: true, id });
+  } catch (e) {
+    if (conn) await conn.rollback().catch(() => {});
+    console.error('DELETE /api/items/:id error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  } finally {
+    conn?.release();
+  }
+});
+
+export default router;
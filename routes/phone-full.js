@@ -7,6 +7,7 @@ import crypto from 'crypto';
 // If you already export it from a central db module, import from there:
 // import { pool } from '../db.js';
 import mysql from 'mysql2/promise';
+import { requireRole } from '../auth.js';
 
 const router = express.Router();
 
@@ -29,7 +30,7 @@ const pool = mysql.createPool({
  * GET /phone/regions/raw
  * Returns all columns from phoneInfo (admin/export).
  */
-router.get('/regions/raw', async (_req, res) => {
+router.get('/regions/raw', requireRole('admin'), async (_req, res) => {
   try {
     const [rows] = await pool.query(`
       SELECT
@@ -55,7 +56,8 @@ router.get('/regions/raw', async (_req, res) => {
       return res.status(304).end();
     }
     res.set('ETag', etag);
-    res.set('Cache-Control', 'public, max-age=86400, stale-while-revalidate=604800');
+    // private: admin-only, so shared caches must not hand it to anyone else
+    res.set('Cache-Control', 'private, max-age=86400, stale-while-revalidate=604800');
 
     return res.json({ count: rows.length, rows });
   } catch (e) {
@@ -70,7 +72,7 @@ router.get('/regions/raw', async (_req, res) => {
  */
 
 // routes/phone-full.js (ESM) — improved /with-sites
-router.get('/regions/with-sites', async (req, res) => {
+router.get('/regions/with-sites', requireRole('admin'), async (req, res) => {
   try {
     const [rows] = await pool.query(`
       SELECT
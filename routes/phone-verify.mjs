@@ -0,0 +1,187 @@
+// routes/phone-verify.mjs (ESM)
+// Proves the signed-in user owns a phone number: /phone/validate gives an E.164
+// string, /start texts a 6-digit code to it, /confirm checks the code and marks
+// the number as the user's verified phone (loginTable.phone_verified_at).
+import { Router } from 'express';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { requireAuth } from '../auth.js';
+import { detTokenBase64 } from '../keys.js';
+import { saveContact } from '../contacts.js';
+import { sendOtp } from '../otpSender.js';
+import { rateLimit, byUserOrIp } from '../rateLimit.js';
+
+const router = Router();
+router.use(requireAuth);
+
+const OTP_TTL_MIN = Number(process.env.OTP_TTL_MIN ?? 10);
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS ?? 5);
+const OTP_RESEND_SEC = Number(process.env.OTP_RESEND_SEC ?? 60);
+
+const E164_RE = /^\+\d{6,15}$/;
+
+const e164Of = (b) => String(b?.e164 ?? b?.phoneE164 ?? '').replace(/[\s()-]/g, '');
+
+// Texts cost money: cap per user and per destination number
+const startUserLimit = rateLimit({ name: 'otp_start_user', max: 5, windowSec: 60 * 60, key: byUserOrIp });
+const startPhoneLimit = rateLimit({
+  name: 'otp_start_phone', max: 5, windowSec: 60 * 60, key: (req) => e164Of(req.body) || null,
+});
+const confirmLimit = rateLimit({ name: 'otp_confirm_user', max: 20, windowSec: 15 * 60, key: byUserOrIp });
+
+/** HMAC of number + code, so a leaked phoneOtp table doesn't reveal live codes */
+const codeHashOf = (e164, code) => detTokenBase64(`otp|${e164}|${code}`);
+
+function sameHash(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/* -------------------------------------------------------------------------- */
+/* POST /phone/verify/start                                                   */
+/*  - Body: { e164 }   (as returned by POST /phone/validate)                  */
+/*  - Replaces any pending code for the same user + number.                   */
+/*  - 202: { sent: true, expiresAt, resendAfter }                             */
+/*  - 429: { error: 'otp_resend_too_soon', retryAfter }                       */
+/* -------------------------------------------------------------------------- */
+router.post('/start', startUserLimit, startPhoneLimit, async (req, res) => {
+  try {
+    const { userID } = req.user;
+    const e164 = e164Of(req.body);
+    if (!E164_RE.test(e164)) return res.status(400).json({ error: 'invalid_e164' });
+    const phoneToken = detTokenBase64(e164);
+
+    const [recent] = await pool.execute(
+      `SELECT TIMESTAMPDIFF(SECOND, createdAt, NOW()) AS age
+         FROM phoneOtp
+        WHERE userID = ? AND phoneToken = ?
+        ORDER BY createdAt DESC, id DESC
+        LIMIT 1`,
+      [userID, phoneToken]
+    );
+    if (recent.length && Number(recent[0].age) < OTP_RESEND_SEC) {
+      const retryAfter = OTP_RESEND_SEC - Number(recent[0].age);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'otp_resend_too_soon', retryAfter });
+    }
+
+    const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MIN * 60 * 1000);
+
+    // Only the newest code for a number is ever valid
+    await pool.execute(
+      `UPDATE phoneOtp SET consumedAt = NOW()
+        WHERE userID = ? AND phoneToken = ? AND consumedAt IS NULL`,
+      [userID, phoneToken]
+    );
+    await pool.execute(
+      'INSERT INTO phoneOtp (userID, phoneToken, codeHash, expiresAt) VALUES (?, ?, ?, ?)',
+      [userID, phoneToken, codeHashOf(e164, code), expiresAt]
+    );
+
+    await sendOtp({ to: e164, code, expiresAt: expiresAt.toISOString() });
+    return res.status(202).json({ sent: true, expiresAt: expiresAt.toISOString(), resendAfter: OTP_RESEND_SEC });
+  } catch (e) {
+    if (e.message === 'otp_sender_not_configured') {
+      return res.status(503).json({ error: 'otp_sender_not_configured' });
+    }
+    console.error('POST /phone/verify/start error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* POST /phone/verify/confirm                                                 */
+/*  - Body: { e164, code }                                                    */
+/*  - On success the number becomes the user's phone (lookup token + cipher)  */
+/*    and phone_verified_at is set.                                           */
+/*  - 200: { verified: true, phoneE164, verifiedAt }                          */
+/*  - 400: otp_not_found (none pending or expired)                            */
+/*  - 401: { error: 'invalid_code', attemptsLeft }                            */
+/*  - 409: duplicate_identifier (number already verified by another account)  */
+/*  - 429: otp_attempts_exceeded (request a new code)                         */
+/* -------------------------------------------------------------------------- */
+router.post('/confirm', confirmLimit, async (req, res) => {
+  try {
+    const { userID } = req.user;
+    const e164 = e164Of(req.body);
+    const code = String(req.body?.code ?? '').trim();
+    if (!E164_RE.test(e164)) return res.status(400).json({ error: 'invalid_e164' });
+    if (!/^\d{6}$/.test(code)) return res.status(400).json({ error: 'invalid_code_format' });
+    const phoneToken = detTokenBase64(e164);
+
+    const [rows] = await pool.execute(
+      `SELECT id, codeHash, attempts
+         FROM phoneOtp
+        WHERE userID = ? AND phoneToken = ?
+          AND consumedAt IS NULL AND expiresAt > NOW()
+        ORDER BY createdAt DESC, id DESC
+        LIMIT 1`,
+      [userID, phoneToken]
+    );
+    const otp = rows[0];
+    if (!otp) return res.status(400).json({ error: 'otp_not_found' });
+
+    // Count the guess before checking it, conditionally, so concurrent wrong
+    // guesses can't all slip under the limit
+    const [counted] = await pool.execute(
+      'UPDATE phoneOtp SET attempts = attempts + 1 WHERE id = ? AND attempts < ? AND consumedAt IS NULL',
+      [otp.id, OTP_MAX_ATTEMPTS]
+    );
+    if (counted.affectedRows === 0) return res.status(429).json({ error: 'otp_attempts_exceeded' });
+
+    if (!sameHash(codeHashOf(e164, code), otp.codeHash)) {
+      return res.status(401).json({
+        error: 'invalid_code',
+        attemptsLeft: Math.max(0, OTP_MAX_ATTEMPTS - Number(otp.attempts) - 1),
+      });
+    }
+
+    // Consuming the code and taking the number commit together, so a number
+    // already on another account (ER_DUP_ENTRY) leaves the code usable
+    const verifiedAt = new Date();
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      // Conditional so two concurrent confirms can't both succeed
+      const [used] = await conn.execute(
+        'UPDATE phoneOtp SET consumedAt = NOW() WHERE id = ? AND consumedAt IS NULL',
+        [otp.id]
+      );
+      if (used.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(400).json({ error: 'otp_not_found' });
+      }
+      const [result] = await conn.execute(
+        'UPDATE loginTable SET phone_number_enc = ?, phone_verified_at = ? WHERE userID = ?',
+        [phoneToken, verifiedAt, userID]
+      );
+      if (result.affectedRows === 0) {
+        await conn.rollback();
+        return res.status(404).json({ error: 'account_not_found' });
+      }
+      await saveContact(userID, { phoneE164: e164 }, conn);
+      await conn.commit();
+    } catch (inner) {
+      await conn.rollback().catch(() => {});
+      throw inner;
+    } finally {
+      conn.release();
+    }
+
+    return res.json({ verified: true, phoneE164: e164, verifiedAt: verifiedAt.toISOString() });
+  } catch (e) {
+    if (e?.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'duplicate_identifier',
+        field: 'phone',
+        message: 'phone already in use. Please use another.',
+      });
+    }
+    console.error('POST /phone/verify/confirm error:', e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+export default router;
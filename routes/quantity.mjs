@@ -0,0 +1,31 @@
+// routes/quantity.mjs (ESM)
+import { Router } from 'express';
+import { parseQuantity } from '../quantity.js';
+
+const router = Router();
+
+const MAX_BATCH = 100;
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/quantity/parse                                                   */
+/*  - Preview how a typed quantity is understood (same parser as matching).   */
+/*  - Body: { quantity: string } or { quantities: string[] } (max 100)        */
+/*  - 200: { input, parsed } / { results: [{ input, parsed }] } where parsed  */
+/*    is { value, unit, count, each, min?, max? } in ml/g/pcs/pack or null    */
+/* -------------------------------------------------------------------------- */
+router.post('/parse', (req, res) => {
+  const b = req.body ?? {};
+  const parse = (input) => ({ input, parsed: parseQuantity(input) });
+
+  if (Array.isArray(b.quantities)) {
+    if (b.quantities.length > MAX_BATCH) {
+      return res.status(400).json({ error: 'too_many_quantities', max: MAX_BATCH });
+    }
+    return res.json({ results: b.quantities.map((q) => parse(String(q ?? ''))) });
+  }
+  const input = String(b.quantity ?? '').trim();
+  if (!input) return res.status(400).json({ error: 'quantity_required' });
+  return res.json(parse(input));
+});
+
+export default router;
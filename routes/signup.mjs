@@ -0,0 +1,104 @@
+// routes/signup.mjs (ESM)
+import { Router } from 'express';
+import { validateSignup, createAccount, signupIdentifiers } from '../signup.js';
+import { rateLimit, byIp } from '../rateLimit.js';
+
+const router = Router();
+
+// One bucket per IP and one per email / phone / username the body would claim
+// (normalized the way createAccount stores them), each shared by both paths so
+// the alias can't be used to double the allowance
+const signupLimit = rateLimit({ name: 'signup_ip', max: 10, windowSec: 60 * 60, key: byIp });
+const signupIdLimit = rateLimit({
+  name: 'signup_identifier', max: 5, windowSec: 60 * 60, key: (req) => signupIdentifiers(req.body),
+});
+
+const MESSAGES = {
+  password_too_short: 'Password must be at least 8 characters.',
+  password_too_long: 'Password must be at most 72 bytes.',
+  password_needs_letter_and_digit: 'Password must contain a letter and a digit.',
+  password_contains_identifier: 'Password must not contain your username or email.',
+  identifier_required: 'Provide a username, email, or phone number.',
+};
+const messageFor = ({ field, error }) => MESSAGES[error] ?? `${field} is missing or invalid.`;
+
+/**
+ * Old POST /signup bodies (index.js / routes/index.js) used q1/a1..q3/a3 for the
+ * security questions; everything else already matches the unified schema.
+ */
+function fromLegacyBody(b) {
+  const out = { ...(b ?? {}) };
+  for (const i of [1, 2, 3]) {
+    if (out[`secuQuestion${i}`] == null && out[`q${i}`] != null) out[`secuQuestion${i}`] = out[`q${i}`];
+    if (out[`secuAns${i}`] == null && out[`a${i}`] != null) out[`secuAns${i}`] = out[`a${i}`];
+    delete out[`q${i}`];
+    delete out[`a${i}`];
+  }
+  return out;
+}
+
+/** Swaps req.body for its fromLegacyBody() form before the limiters read it */
+function legacyBody(req, res, next) {
+  req.body = fromLegacyBody(req.body);
+  next();
+}
+
+/**
+ * `legacy`: answer 201 { userID: <auto-increment id> } like the old POST
+ * /signup did; errors use the unified shapes either way.
+ */
+async function handleSignup(body, res, label, { legacy = false } = {}) {
+  try {
+    const { value, errors } = validateSignup(body);
+    if (errors.length) {
+      const detailed = errors.map((e) => ({ ...e, message: messageFor(e) }));
+      return res.status(400).json({
+        error: 'validation_failed',
+        field: detailed[0].field,        // first problem, for single-message UIs
+        message: detailed[0].message,
+        errors: detailed,
+      });
+    }
+
+    const { userID, insertId } = await createAccount(value);
+    return res.status(201).json({ userID: legacy ? insertId : userID });
+  } catch (e) {
+    if (e.status === 409) {
+      return res.status(409).json({
+        error: 'duplicate_identifier',
+        field: e.field,
+        message: `${e.field} already in use. Please use another.`,
+      });
+    }
+    if (e.status === 400) {
+      return res.status(400).json({
+        error: 'validation_failed',
+        field: e.field,
+        message: messageFor({ field: e.field, error: e.message }),
+        errors: [{ field: e.field, error: e.message, message: messageFor({ field: e.field, error: e.message }) }],
+      });
+    }
+    console.error(`${label} error:`, e);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* POST /api/signup                                                           */
+/*  - Body: see SIGNUP_SCHEMA in signup.js                                    */
+/*      { identifierType?, username?, email?, phone_country_code?,            */
+/*        phone_number?, phoneE164?, password,                                */
+/*        secuQuestion1..3?, secuAns1..3? }                                   */
+/*  - 201: { userID }   always generated here; a userID in the body is        */
+/*    ignored                                                                 */
+/*  - 400: { error: 'validation_failed', field, message, errors: [...] }      */
+/*  - 409: { error: 'duplicate_identifier', field, message }                  */
+/* -------------------------------------------------------------------------- */
+router.post('/api/signup', signupLimit, signupIdLimit, (req, res) => handleSignup(req.body, res, 'POST /api/signup'));
+
+// Compatibility alias for older clients (q1/a1.. field names, numeric userID)
+router.post('/signup', legacyBody, signupLimit, signupIdLimit, (req, res) => (
+  handleSignup(req.body, res, 'POST /signup', { legacy: true })
+));
+
+export default router;
@@ -0,0 +1,29 @@
+// scripts/reencrypt-contacts.js (ESM)
+// Move every encrypted email/phone onto DATA_KEY_CURRENT after a key rotation.
+// Keep the old DATA_KEY_V<n> configured until this reports nothing left.
+//
+//   DATA_KEY_CURRENT=2 node scripts/reencrypt-contacts.js
+import { pool } from '../db.js';
+import { reencryptStaleContacts } from '../contacts.js';
+
+async function main() {
+  const total = { scanned: 0, updated: 0, failed: 0 };
+  let after = null;
+  for (;;) {
+    const r = await reencryptStaleContacts({ after });
+    // One pass over the table; rows that failed stay behind the cursor
+    if (r.scanned === 0) break;
+    total.scanned += r.scanned;
+    total.updated += r.updated;
+    total.failed += r.failed;
+    after = r.lastUserID;
+  }
+  console.log('reencrypt-contacts:', total);
+}
+
+main()
+  .catch((e) => {
+    console.error('reencrypt-contacts failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
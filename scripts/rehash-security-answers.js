@@ -0,0 +1,57 @@
+// scripts/rehash-security-answers.js (ESM)
+// One-off backfill: bcrypt any plaintext loginTable.secuAns1..3 left from before
+// answers were hashed at signup. Safe to re-run; hashed values are skipped.
+//
+//   node scripts/rehash-security-answers.js            # apply
+//   node scripts/rehash-security-answers.js --dry-run  # count only
+import { pool } from '../db.js';
+import { hashSecurityAnswer, isHashedAnswer } from '../keys.js';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH = 200;
+const COLUMNS = ['secuAns1', 'secuAns2', 'secuAns3'];
+
+async function main() {
+  let lastID = '';
+  let scanned = 0;
+  let rehashed = 0;
+
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT userID, secuAns1, secuAns2, secuAns3
+         FROM loginTable
+        WHERE userID > ?
+        ORDER BY userID ASC
+        LIMIT ?`,
+      [lastID, BATCH]
+    );
+    if (rows.length === 0) break;
+
+    for (const r of rows) {
+      scanned++;
+      for (const col of COLUMNS) {
+        const stored = r[col];
+        if (stored == null || stored === '' || isHashedAnswer(stored)) continue;
+
+        rehashed++;
+        if (DRY_RUN) continue;
+
+        // Compare-and-set so a concurrent signup/profile edit is never overwritten
+        await pool.execute(
+          `UPDATE loginTable SET \`${col}\` = ? WHERE userID = ? AND \`${col}\` = ?`,
+          [await hashSecurityAnswer(stored), r.userID, stored]
+        );
+      }
+    }
+    lastID = String(rows[rows.length - 1].userID);
+  }
+
+  console.log(`${DRY_RUN ? '[dry-run] ' : ''}scanned ${scanned} users, rehashed ${rehashed} answers`);
+}
+
+main()
+  .catch((e) => {
+    console.error('rehash-security-answers failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
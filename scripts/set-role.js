@@ -0,0 +1,30 @@
+// scripts/set-role.js (ESM)
+// Set a loginTable user's role from the shell, e.g. to create the first admin
+// (after that, PUT /api/admin/users/:userID/role works).
+//
+//   node scripts/set-role.js <userID> <user|contributor|admin>
+import { pool } from '../db.js';
+import { ROLES } from '../auth.js';
+
+async function main() {
+  const [userID, role] = process.argv.slice(2);
+  if (!userID || !ROLES.includes(role)) {
+    console.error(`usage: node scripts/set-role.js <userID> <${ROLES.join('|')}>`);
+    process.exitCode = 2;
+    return;
+  }
+  const [result] = await pool.execute('UPDATE loginTable SET role = ? WHERE userID = ?', [role, userID]);
+  if (result.affectedRows === 0) {
+    console.error(`set-role: no loginTable user ${userID}`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`set-role: ${userID} -> ${role}`);
+}
+
+main()
+  .catch((e) => {
+    console.error('set-role failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
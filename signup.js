@@ -0,0 +1,226 @@
+// signup.js (ESM)
+// The one signup service behind POST /api/signup and its legacy aliases
+// (routes/signup.mjs). Declares the request schema, validates it, and creates the
+// loginTable row: bcrypt password + answers, HMAC lookup tokens, encrypted contact.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { pool } from './db.js';
+import { detTokenBase64, normalizeEmail, buildE164, hashSecurityAnswer } from './keys.js';
+import { encryptContact } from './contacts.js';
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* ------------------------------------------------------------------ */
+/*                        Password Strength                            */
+/* ------------------------------------------------------------------ */
+const MIN_IDENTIFIER_IN_PASSWORD = 4;
+
+/**
+ * Problems with a candidate password -> [] when acceptable.
+ * `context` values (username, email) of MIN_IDENTIFIER_IN_PASSWORD or more
+ * characters must not appear in the password.
+ */
+export function passwordProblems(password, context = {}) {
+  const pw = String(password ?? '');
+  const problems = [];
+  if (pw.length < 8) problems.push('password_too_short');
+  // bcrypt silently ignores everything after 72 bytes
+  if (Buffer.byteLength(pw, 'utf8') > 72) problems.push('password_too_long');
+  if (!/[A-Za-z]/.test(pw) || !/\d/.test(pw)) problems.push('password_needs_letter_and_digit');
+
+  // Short identifiers ("al", "jo") turn up inside plenty of fine passwords
+  const lower = pw.toLowerCase();
+  for (const v of [context.username, context.email]) {
+    const id = String(v ?? '').trim().toLowerCase();
+    if (id.length >= MIN_IDENTIFIER_IN_PASSWORD && lower.includes(id)) {
+      problems.push('password_contains_identifier');
+      break;
+    }
+  }
+  return problems;
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Request Schema                             */
+/* ------------------------------------------------------------------ */
+// type: accepted JS type (numbers are coerced for string fields)
+// required / requiredWhen(body): presence rules
+// maxLength / pattern / oneOf: value rules, checked only when present
+const answerRule = (i) => ({
+  type: 'string', maxLength: 255, requiredWhen: (b) => Boolean(b[`secuQuestion${i}`]),
+});
+
+export const SIGNUP_SCHEMA = {
+  identifierType:     { type: 'string', oneOf: ['username', 'email', 'phone'] },
+  username:           { type: 'string', maxLength: 64, requiredWhen: (b) => b.identifierType === 'username' },
+  password:           { type: 'string', required: true },
+  email:              { type: 'string', maxLength: 254, pattern: EMAIL_RE,
+                        requiredWhen: (b) => b.identifierType === 'email' },
+  phone_country_code: { type: 'string', pattern: /^\+?\d{1,4}$/,
+                        requiredWhen: (b) => Boolean(b.phone_number) && !b.phoneE164 },
+  phone_number:       { type: 'string', pattern: /^[\d\s().-]{4,20}$/,
+                        requiredWhen: (b) => b.identifierType === 'phone' && !b.phoneE164 },
+  phoneE164:          { type: 'string', pattern: /^\+\d{6,15}$/ },
+  secuQuestion1:      { type: 'string', maxLength: 255 },
+  secuAns1:           answerRule(1),
+  secuQuestion2:      { type: 'string', maxLength: 255 },
+  secuAns2:           answerRule(2),
+  secuQuestion3:      { type: 'string', maxLength: 255 },
+  secuAns3:           answerRule(3),
+};
+
+/**
+ * Check a body against SIGNUP_SCHEMA.
+ * Returns { value, errors } where value holds trimmed strings (empty -> absent)
+ * and errors is [{ field, error }] in schema order.
+ */
+export function validateSignup(body) {
+  const b = body ?? {};
+  const value = {};
+  const errors = [];
+
+  // Coerce + trim first so requiredWhen sees clean values
+  for (const [field, rule] of Object.entries(SIGNUP_SCHEMA)) {
+    const raw = b[field];
+    if (raw == null || raw === '') continue;
+    if (rule.type === 'string' && (typeof raw === 'string' || typeof raw === 'number')) {
+      // Passwords are kept verbatim; everything else is trimmed
+      const v = field === 'password' ? String(raw) : String(raw).trim();
+      if (v !== '') value[field] = v;
+    } else {
+      errors.push({ field, error: 'invalid_type' });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(SIGNUP_SCHEMA)) {
+    if (errors.some((e) => e.field === field)) continue;
+    const v = value[field];
+    if (v === undefined) {
+      if (rule.required || rule.requiredWhen?.(value)) errors.push({ field, error: `${field}_required` });
+      continue;
+    }
+    if (rule.maxLength && v.length > rule.maxLength) errors.push({ field, error: `${field}_too_long` });
+    else if (rule.pattern && !rule.pattern.test(v)) errors.push({ field, error: `invalid_${field}` });
+    else if (rule.oneOf && !rule.oneOf.includes(v)) errors.push({ field, error: `invalid_${field}` });
+  }
+
+  if (!value.username && !value.email && !value.phone_number && !value.phoneE164) {
+    errors.push({ field: 'identifier', error: 'identifier_required' });
+  }
+  if (value.password !== undefined) {
+    for (const error of passwordProblems(value.password, value)) errors.push({ field: 'password', error });
+  }
+  return { value, errors };
+}
+
+/* ------------------------------------------------------------------ */
+/*                          Account Creation                           */
+/* ------------------------------------------------------------------ */
+
+/** ER_DUP_ENTRY message -> the signup field it concerns */
+function duplicateField(err) {
+  const raw = String(err?.sqlMessage || err?.message || '').toLowerCase();
+  if (raw.includes('email_enc')) return 'email';
+  if (raw.includes('phone_number_enc')) return 'phone';
+  if (raw.includes('username')) return 'username';
+  return 'identifier';
+}
+
+/**
+ * Validated signup -> { email, phoneE164 } as stored (normalized, null when
+ * absent). Throws Error with status 400 + field 'phone' for a bad number.
+ */
+function contactOf(v) {
+  const email = v.email ? normalizeEmail(v.email) : null;
+  let phoneE164 = null;
+  if (v.phoneE164 || v.phone_number) {
+    try {
+      phoneE164 = buildE164({
+        phoneE164: v.phoneE164,
+        phone_country_code: v.phone_country_code && !v.phone_country_code.startsWith('+')
+          ? `+${v.phone_country_code}`
+          : v.phone_country_code,
+        phone_number: v.phone_number,
+      });
+    } catch (errPhone) {
+      throw Object.assign(new Error(errPhone.message), { status: 400, field: 'phone' });
+    }
+  }
+  return { email, phoneE164 };
+}
+
+/**
+ * The unique loginTable values a signup body would claim, as
+ * ['<column>:<value>'] with the same normalization and lookup tokens
+ * createAccount stores. Values that don't parse (a bad phone) are left out.
+ */
+export function signupIdentifiers(body) {
+  const { value: v } = validateSignup(body);
+  const email = v.email ? normalizeEmail(v.email) : null;
+  let phoneE164 = null;
+  try {
+    ({ phoneE164 } = contactOf(v));
+  } catch {
+    // bad number: createAccount answers 400 for it
+  }
+  const keys = v.username ? [`username:${v.username.toLowerCase()}`] : [];
+  try {
+    if (email) keys.push(`email_enc:${detTokenBase64(email)}`);
+    if (phoneE164) keys.push(`phone_number_enc:${detTokenBase64(phoneE164)}`);
+  } catch {
+    // DETERMINISTIC_KEY missing: createAccount fails with 500 anyway
+  }
+  return keys;
+}
+
+/**
+ * Insert a validated signup (validateSignup(...).value) into loginTable.
+ * Returns { userID, insertId } (insertId: the table's auto-increment id, what
+ * the legacy /signup answered with). Throws Error with `status` + `field` set for problems the
+ * client can fix (409 duplicate_identifier, 400 invalid_phone).
+ */
+export async function createAccount(v) {
+  // Always ours: a client-chosen id could probe which ids exist
+  const userID = crypto.randomUUID();
+  const { email, phoneE164 } = contactOf(v);
+
+  const [passwordHash, ans1, ans2, ans3] = await Promise.all([
+    bcrypt.hash(v.password, 12),
+    hashSecurityAnswer(v.secuAns1),
+    hashSecurityAnswer(v.secuAns2),
+    hashSecurityAnswer(v.secuAns3),
+  ]);
+  const contact = encryptContact(userID, { email, phoneE164 });
+
+  const sql = `
+    INSERT INTO loginTable
+      (userID, username, password, phone_country_code,
+       secuQuestion1, secuAns1, secuQuestion2, secuAns2, secuQuestion3, secuAns3,
+       email_enc, phone_number_enc,
+       email_cipher, phone_number_cipher, contact_key_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  let result;
+  try {
+    [result] = await pool.execute(sql, [
+      userID,
+      v.username ?? null,
+      passwordHash,
+      phoneE164 ? (v.phone_country_code ?? null) : null,
+      v.secuQuestion1 ?? null, v.secuQuestion1 ? ans1 : null,
+      v.secuQuestion2 ?? null, v.secuQuestion2 ? ans2 : null,
+      v.secuQuestion3 ?? null, v.secuQuestion3 ? ans3 : null,
+      email ? detTokenBase64(email) : null,
+      phoneE164 ? detTokenBase64(phoneE164) : null,
+      contact.email_cipher,
+      contact.phone_number_cipher,
+      contact.contact_key_version,
+    ]);
+  } catch (err) {
+    if (err?.code === 'ER_DUP_ENTRY') {
+      throw Object.assign(new Error('duplicate_identifier'), { status: 409, field: duplicateField(err) });
+    }
+    throw err;
+  }
+  return { userID, insertId: result.insertId };
+}
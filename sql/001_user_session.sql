@@ -0,0 +1,13 @@
+-- sql/001_user_session.sql
+-- Login sessions issued by POST /api/login.
+-- Only the sha256 of the opaque token is stored; the raw token lives on the client.
+CREATE TABLE IF NOT EXISTS userSession (
+  id         BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  userID     VARCHAR(64)  NOT NULL,
+  tokenHash  CHAR(64)     NOT NULL,
+  createdAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expiresAt  DATETIME     NOT NULL,
+  revokedAt  DATETIME     NULL,
+  UNIQUE KEY uq_userSession_tokenHash (tokenHash),
+  KEY idx_userSession_userID (userID)
+);
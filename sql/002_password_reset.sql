@@ -0,0 +1,19 @@
+-- sql/002_password_reset.sql
+-- Security-question password reset (routes/auth.mjs: /api/password-reset/*).
+
+-- Wrong-answer lockout state lives on the user row
+ALTER TABLE loginTable
+  ADD COLUMN resetFailCount   INT      NOT NULL DEFAULT 0,
+  ADD COLUMN resetLockedUntil DATETIME NULL;
+
+-- Short-lived single-use reset tokens (sha256 only, like userSession)
+CREATE TABLE IF NOT EXISTS passwordResetToken (
+  id         BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  userID     VARCHAR(64)  NOT NULL,
+  tokenHash  CHAR(64)     NOT NULL,
+  createdAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expiresAt  DATETIME     NOT NULL,
+  usedAt     DATETIME     NULL,
+  UNIQUE KEY uq_passwordResetToken_tokenHash (tokenHash),
+  KEY idx_passwordResetToken_userID (userID)
+);
@@ -0,0 +1,10 @@
+-- sql/003_hash_security_answers.sql
+-- secuAns1..3 now hold bcrypt hashes (60 chars) instead of plaintext answers.
+-- Run before deploying, then backfill old rows with:
+--   node scripts/rehash-security-answers.js
+-- If any UNIQUE index exists on a secuAns column, drop it: hashes are salted
+-- and answers were never meant to be unique per user.
+ALTER TABLE loginTable
+  MODIFY COLUMN secuAns1 VARCHAR(255) NULL,
+  MODIFY COLUMN secuAns2 VARCHAR(255) NULL,
+  MODIFY COLUMN secuAns3 VARCHAR(255) NULL;
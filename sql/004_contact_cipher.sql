@@ -0,0 +1,10 @@
+-- sql/004_contact_cipher.sql
+-- Reversible (AES-256-GCM) copies of email / phone next to the HMAC lookup tokens
+-- email_enc / phone_number_enc. Values look like "v<keyVersion>:<iv>:<tag>:<ct>".
+-- contact_key_version = DATA_KEY version both ciphers were written with; the
+-- re-encryption job (contacts.js) moves rows whose version != DATA_KEY_CURRENT.
+ALTER TABLE loginTable
+  ADD COLUMN email_cipher        VARCHAR(512) NULL,
+  ADD COLUMN phone_number_cipher VARCHAR(255) NULL,
+  ADD COLUMN contact_key_version INT          NULL,
+  ADD KEY idx_loginTable_contact_key_version (contact_key_version);
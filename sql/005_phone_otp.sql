@@ -0,0 +1,18 @@
+-- sql/005_phone_otp.sql
+-- Phone ownership verification (routes/phone-verify.mjs).
+-- Neither the number nor the code is stored in plaintext: phoneToken is the same
+-- HMAC as loginTable.phone_number_enc, codeHash an HMAC of number + code.
+CREATE TABLE IF NOT EXISTS phoneOtp (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  userID      VARCHAR(64)  NOT NULL,
+  phoneToken  VARCHAR(64)  NOT NULL,
+  codeHash    VARCHAR(64)  NOT NULL,
+  attempts    INT          NOT NULL DEFAULT 0,
+  createdAt   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expiresAt   DATETIME     NOT NULL,
+  consumedAt  DATETIME     NULL,
+  KEY idx_phoneOtp_user_phone (userID, phoneToken)
+);
+
+ALTER TABLE loginTable
+  ADD COLUMN phone_verified_at DATETIME NULL;
@@ -0,0 +1,6 @@
+-- sql/006_user_roles.sql
+-- Account roles for requireRole() in auth.js. Ordered: user < contributor < admin
+-- (a route needing 'contributor' also admits admins). Promote the first admin with
+--   node scripts/set-role.js <userID> admin
+ALTER TABLE loginTable
+  ADD COLUMN role ENUM('user', 'contributor', 'admin') NOT NULL DEFAULT 'user';
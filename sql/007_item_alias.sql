@@ -0,0 +1,16 @@
+-- sql/007_item_alias.sql
+-- "What the user typed -> which item they picked" from the resolve screens
+-- (itemAlias.js). One row per user and input; picking again replaces it.
+-- aliasKey = sha256 of the normalized "item|brand|quantity" text.
+CREATE TABLE IF NOT EXISTS itemAlias (
+  id          BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  aliasKey    CHAR(64)     NOT NULL,
+  inputItem   VARCHAR(255) NOT NULL,
+  inputBrand  VARCHAR(255) NULL,
+  inputQty    VARCHAR(32)  NULL,
+  itemID      VARCHAR(64)  NOT NULL,
+  userID      VARCHAR(64)  NOT NULL,
+  createdAt   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_itemAlias_key_user (aliasKey, userID),
+  KEY idx_itemAlias_item (itemID)
+);
@@ -0,0 +1,11 @@
+-- sql/008_item_barcode.sql
+-- GTIN-8/12/13/14 barcodes for `item` (barcode.js). An item can carry several
+-- (multipack vs single, regional EANs); a code belongs to one item at most.
+-- Codes are stored as GTIN-14 (left-padded with zeros) so EAN-13 "5000112637922"
+-- and its UPC/GTIN-14 spellings hit the same row.
+CREATE TABLE IF NOT EXISTS itemBarcode (
+  gtin       CHAR(14)    NOT NULL PRIMARY KEY,
+  itemID     VARCHAR(64) NOT NULL,
+  createdAt  DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_itemBarcode_item (itemID)
+);
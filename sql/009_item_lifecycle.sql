@@ -0,0 +1,20 @@
+-- sql/009_item_lifecycle.sql
+-- Editing, soft-deleting and merging catalog items (routes/items.mjs).
+-- Deleted / merged-away items keep their row (prices and receipts may still
+-- point at them historically) but drop out of search, resolve and listings.
+ALTER TABLE item
+  ADD COLUMN updatedAt DATETIME NULL,
+  ADD COLUMN deletedAt DATETIME NULL,
+  ADD KEY idx_item_deletedAt (deletedAt);
+
+-- Merged duplicate id -> surviving id. Chains are flattened on each merge,
+-- so toID is never itself redirected, but it can be soft-deleted later
+-- (DELETE /api/items/:id); lookups that need a live item join on it
+-- (itemRedirect.js liveRedirectsFor).
+CREATE TABLE IF NOT EXISTS itemRedirect (
+  fromID    VARCHAR(64) NOT NULL PRIMARY KEY,
+  toID      VARCHAR(64) NOT NULL,
+  mergedBy  VARCHAR(64) NULL,
+  mergedAt  DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_itemRedirect_to (toID)
+);
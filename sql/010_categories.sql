@@ -0,0 +1,32 @@
+-- sql/010_categories.sql
+-- Managed category tree (categories.js, routes/categories.mjs), e.g.
+-- Dairy > Milk. The free-text columns stay as they are; categoryMapping ties
+-- each distinct free-text value (lower-cased) to a node, and the new
+-- categoryID columns hold the resolved node.
+CREATE TABLE IF NOT EXISTS category (
+  id         INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  parentID   INT UNSIGNED NULL,
+  name       VARCHAR(100) NOT NULL,
+  slug       VARCHAR(100) NOT NULL,
+  createdAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updatedAt  DATETIME     NULL,
+  KEY idx_category_parent (parentID),
+  KEY idx_category_slug (slug)
+);
+
+CREATE TABLE IF NOT EXISTS categoryMapping (
+  freeText    VARCHAR(255) NOT NULL PRIMARY KEY,
+  categoryID  INT UNSIGNED NOT NULL,
+  mappedBy    VARCHAR(64)  NULL,
+  mappedAt    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_categoryMapping_category (categoryID)
+);
+
+-- Default category of a catalog item; new itemInput rows inherit it
+ALTER TABLE item
+  ADD COLUMN categoryID INT UNSIGNED NULL,
+  ADD KEY idx_item_category (categoryID);
+
+ALTER TABLE itemInput
+  ADD COLUMN categoryID INT UNSIGNED NULL,
+  ADD KEY idx_itemInput_category (categoryID);
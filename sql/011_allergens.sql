@@ -0,0 +1,20 @@
+-- sql/011_allergens.sql
+-- Allergens on items and user allergen profiles (allergens.js). Names are
+-- commonAllergen.allergenCommonName values as listed by GET /api/allergens.
+-- level: 'contains' (an ingredient) or 'may_contain' (trace / shared line).
+CREATE TABLE IF NOT EXISTS itemAllergen (
+  itemID     VARCHAR(64)  NOT NULL,
+  allergen   VARCHAR(100) NOT NULL,
+  level      ENUM('contains', 'may_contain') NOT NULL,
+  updatedBy  VARCHAR(64)  NULL,
+  updatedAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (itemID, allergen),
+  KEY idx_itemAllergen_allergen (allergen)
+);
+
+CREATE TABLE IF NOT EXISTS userAllergen (
+  userID     VARCHAR(64)  NOT NULL,
+  allergen   VARCHAR(100) NOT NULL,
+  createdAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (userID, allergen)
+);
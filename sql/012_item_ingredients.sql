@@ -0,0 +1,54 @@
+-- sql/012_item_ingredients.sql
+-- Ingredient lists and the allergens derived from them (ingredients.js,
+-- POST /api/items/:id/ingredients).
+ALTER TABLE item
+  ADD COLUMN ingredients TEXT NULL;
+
+-- Where an itemAllergen row came from: tagged by hand (PUT .../allergens) or
+-- parsed from the ingredient list. Re-parsing only replaces 'ingredients' rows.
+ALTER TABLE itemAllergen
+  ADD COLUMN source ENUM('manual', 'ingredients') NOT NULL DEFAULT 'manual';
+
+-- Ingredient term (lower-case, single spaces) -> commonAllergen.allergenCommonName.
+-- allergen NULL marks a phrase that is NOT the allergen its words suggest
+-- ("cocoa butter", "coconut milk"); the longest matching phrase wins.
+-- Terms whose allergen isn't in commonAllergen are ignored, so align the
+-- names below with that table.
+CREATE TABLE IF NOT EXISTS allergenSynonym (
+  term      VARCHAR(100) NOT NULL PRIMARY KEY,
+  allergen  VARCHAR(100) NULL,
+  KEY idx_allergenSynonym_allergen (allergen)
+);
+
+INSERT IGNORE INTO allergenSynonym (term, allergen) VALUES
+  ('celery', 'Celery'), ('celeriac', 'Celery'), ('celery salt', 'Celery'),
+  ('gluten', 'Gluten'), ('wheat', 'Gluten'), ('wheat flour', 'Gluten'), ('rye', 'Gluten'),
+  ('barley', 'Gluten'), ('barley malt', 'Gluten'), ('oats', 'Gluten'), ('oat', 'Gluten'),
+  ('spelt', 'Gluten'), ('kamut', 'Gluten'), ('semolina', 'Gluten'), ('durum', 'Gluten'),
+  ('couscous', 'Gluten'), ('buckwheat', NULL),
+  ('crustaceans', 'Crustaceans'), ('prawn', 'Crustaceans'), ('shrimp', 'Crustaceans'),
+  ('crab', 'Crustaceans'), ('lobster', 'Crustaceans'), ('crayfish', 'Crustaceans'),
+  ('egg', 'Eggs'), ('eggs', 'Eggs'), ('egg yolk', 'Eggs'), ('egg white', 'Eggs'),
+  ('albumen', 'Eggs'),
+  ('fish', 'Fish'), ('anchovy', 'Fish'), ('salmon', 'Fish'), ('tuna', 'Fish'), ('cod', 'Fish'),
+  ('fish sauce', 'Fish'),
+  ('lupin', 'Lupin'), ('lupin flour', 'Lupin'),
+  ('milk', 'Milk'), ('butter', 'Milk'), ('buttermilk', 'Milk'), ('cream', 'Milk'),
+  ('cheese', 'Milk'), ('whey', 'Milk'), ('casein', 'Milk'), ('caseinate', 'Milk'),
+  ('lactose', 'Milk'), ('yoghurt', 'Milk'), ('yogurt', 'Milk'), ('ghee', 'Milk'),
+  ('cocoa butter', NULL), ('coconut milk', NULL), ('coconut cream', NULL),
+  ('shea butter', NULL), ('cream of tartar', NULL),
+  ('molluscs', 'Molluscs'), ('mussel', 'Molluscs'), ('oyster', 'Molluscs'),
+  ('squid', 'Molluscs'), ('clam', 'Molluscs'), ('scallop', 'Molluscs'), ('octopus', 'Molluscs'),
+  ('mustard', 'Mustard'), ('mustard seed', 'Mustard'),
+  ('nuts', 'Nuts'), ('nut', 'Nuts'), ('tree nuts', 'Nuts'), ('almond', 'Nuts'),
+  ('hazelnut', 'Nuts'), ('walnut', 'Nuts'), ('cashew', 'Nuts'), ('pecan', 'Nuts'),
+  ('brazil nut', 'Nuts'), ('pistachio', 'Nuts'), ('macadamia', 'Nuts'),
+  ('coconut', NULL), ('nutmeg', NULL), ('butternut', NULL), ('butternut squash', NULL),
+  ('peanut', 'Peanuts'), ('peanuts', 'Peanuts'), ('groundnut', 'Peanuts'),
+  ('arachis oil', 'Peanuts'), ('peanut butter', 'Peanuts'),
+  ('sesame', 'Sesame'), ('sesame seed', 'Sesame'), ('tahini', 'Sesame'),
+  ('soya', 'Soya'), ('soy', 'Soya'), ('soybean', 'Soya'), ('soya lecithin', 'Soya'),
+  ('edamame', 'Soya'), ('tofu', 'Soya'),
+  ('sulphites', 'Sulphites'), ('sulphite', 'Sulphites'), ('sulfites', 'Sulphites'),
+  ('sulphur dioxide', 'Sulphites'), ('sodium metabisulphite', 'Sulphites');
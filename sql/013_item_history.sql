@@ -0,0 +1,19 @@
+-- sql/013_item_history.sql
+-- Audit trail for catalog items (itemHistory.js). Every create, edit, merge,
+-- soft delete and revert of an item row stores the row as it was before and
+-- after (JSON of the columns in itemHistory.js HISTORY_COLUMNS). The entry id
+-- is the "version" POST /api/items/:id/revert goes back to.
+-- details: extra context, e.g. { "targetID": ... } on a merged-away item,
+-- { "sourceIDs": [...] } on the surviving one, { "version": n } on a revert.
+CREATE TABLE IF NOT EXISTS itemHistory (
+  id         BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  itemID     VARCHAR(64)  NOT NULL,
+  action     ENUM('create', 'update', 'merge', 'delete', 'revert') NOT NULL,
+  changedBy  VARCHAR(64)  NULL,
+  changedAt  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `before`   JSON         NULL,
+  `after`    JSON         NULL,
+  details    JSON         NULL,
+  KEY idx_itemHistory_item (itemID, id),
+  KEY idx_itemHistory_user (changedBy, changedAt)
+);
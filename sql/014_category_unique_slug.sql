@@ -0,0 +1,10 @@
+-- sql/014_category_unique_slug.sql
+-- Sibling categories can't share a slug (categories.js checks first, this
+-- catches concurrent creates / renames). Roots have parentID NULL, which a
+-- plain UNIQUE (parentID, slug) would let repeat, so the key uses parentKey
+-- (0 for roots). Existing duplicates must be merged or renamed first:
+--   SELECT IFNULL(parentID, 0) AS parentKey, slug, COUNT(*) FROM category
+--    GROUP BY parentKey, slug HAVING COUNT(*) > 1;
+ALTER TABLE category
+  ADD COLUMN parentKey INT UNSIGNED AS (IFNULL(parentID, 0)) STORED,
+  ADD UNIQUE KEY uq_category_sibling_slug (parentKey, slug);
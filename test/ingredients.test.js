@@ -0,0 +1,59 @@
+// test/ingredients.test.js
+// ingredients.js: label text -> ingredient lists -> allergens, with synonyms
+// given inline (the shape loadSynonyms() returns) instead of the table.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredients, deriveAllergens } from '../ingredients.js';
+
+const synonyms = [
+  ['cocoa butter', null],
+  ['skimmed milk', 'Milk'],
+  ['wheat flour', 'Gluten'],
+  ['hazelnut', 'Nuts'],
+  ['almond', 'Nuts'],
+  ['milk', 'Milk'],
+  ['soya', 'Soya'],
+  ['egg', 'Eggs'],
+]
+  .map(([term, allergen]) => ({ words: term.split(' '), allergen }))
+  .sort((a, b) => b.words.length - a.words.length);
+
+test('parseIngredients: sub-lists, percentages and the may-contain clause', () => {
+  assert.deepEqual(
+    parseIngredients('Ingredients: Wheat flour, sugar 32%, chocolate (cocoa butter, MILK powder). May contain nuts.'),
+    {
+      ingredients: ['wheat flour', 'sugar', 'chocolate', 'cocoa butter', 'milk powder'],
+      mayContain: ['nuts'],
+      emphasized: ['milk'],
+    }
+  );
+  assert.deepEqual(
+    parseIngredients('Oats, <b>soya</b> lecithin. Made in a factory that also handles almonds and/or hazelnuts.'),
+    { ingredients: ['oats', 'soya lecithin'], mayContain: ['almonds', 'hazelnuts'], emphasized: ['soya'] }
+  );
+});
+
+test('parseIngredients: allergy advice is skipped, an all-caps label emphasizes nothing', () => {
+  const parsed = parseIngredients('SUGAR, GLUCOSE SYRUP. Allergy advice: for allergens see ingredients in BOLD.');
+  assert.deepEqual(parsed, { ingredients: ['sugar', 'glucose syrup'], mayContain: [], emphasized: [] });
+  assert.deepEqual(parseIngredients(''), { ingredients: [], mayContain: [], emphasized: [] });
+});
+
+test('deriveAllergens: levels, plurals, longest phrase first and unexplained emphasis', () => {
+  const parsed = parseIngredients(
+    'Skimmed milk, **egg** yolk, **celery**, cocoa butter. May contain almonds, milk and traces of soya.'
+  );
+  const out = deriveAllergens(parsed, synonyms);
+  assert.deepEqual(out.contains, ['Eggs', 'Milk']);
+  assert.deepEqual(out.mayContain, ['Nuts', 'Soya']); // milk is already 'contains'
+  assert.deepEqual(out.unmatchedEmphasis, ['celery']);
+  assert.deepEqual(
+    out.matches.filter((m) => m.level === 'contains').map((m) => m.term),
+    ['skimmed milk', 'egg'] // cocoa butter is a known term but no allergen
+  );
+});
+
+test('deriveAllergens: `known` keeps only existing allergen names, in their spelling', () => {
+  const parsed = parseIngredients('Wheat flour, hazelnuts, soya.');
+  assert.deepEqual(deriveAllergens(parsed, synonyms, ['gluten', 'NUTS']).contains, ['NUTS', 'gluten']);
+});
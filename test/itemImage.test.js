@@ -0,0 +1,144 @@
+// test/itemImage.test.js
+// itemImage.js without the network: the SSRF guard against a loopback server
+// that must never be reached, then the checks, thumbnails and refresh through
+// a fake fetcher.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const CACHE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'item-image-'));
+process.env.IMAGE_CACHE_DIR = CACHE_DIR;
+process.env.IMAGE_MAX_BYTES = '1024';
+const {
+  isPrivateAddress, imageUrl, createHttpFetcher, setImageFetcher, setImageResizer, loadImage, sweepImageCache,
+} = await import('../itemImage.js');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const png = (tail) => Buffer.concat([PNG, Buffer.from(tail)]);
+
+/** Fetcher answering from `responses` (url -> result), counting calls per url */
+function fakeFetcher(responses) {
+  const calls = new Map();
+  return {
+    calls,
+    async fetch(url) {
+      calls.set(url, (calls.get(url) ?? 0) + 1);
+      return { status: 200, ...responses[url] };
+    },
+  };
+}
+
+const dirOf = (url) => {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 32);
+  return path.join(CACHE_DIR, key.slice(0, 2), key);
+};
+const sha1 = (b) => crypto.createHash('sha1').update(b).digest('hex');
+
+async function until(check, ms = 2000) {
+  for (const end = Date.now() + ms; Date.now() < end; await new Promise((r) => setTimeout(r, 10))) {
+    if (await check()) return;
+  }
+  throw new Error('timed out');
+}
+
+test('isPrivateAddress: private, reserved and IPv4-carrying IPv6 forms', () => {
+  for (const ip of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+    '::', '::1', '::ffff:7f00:1', '::ffff:127.0.0.1', '::7f00:1', '::ffff:0:a00:1', '64:ff9b::7f00:1',
+    '64:ff9b::a9fe:a9fe', 'fc00::1', 'fd12::1', 'fe80::1', 'fec0::1', 'ff02::1', '2002:7f00:1::', 'localhost',
+  ]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '93.184.215.14', '2606:4700::1111', '2a00:1450:4001::200e']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test('imageUrl: refuses non-http and private IP literals however they are spelled', () => {
+  for (const url of [
+    'ftp://example.com/a.png', 'file:///etc/passwd', 'http://127.0.0.1/a.png', 'http://2130706433/a.png',
+    'http://0x7f.1/a.png', 'http://[::1]/a.png', 'http://[::ffff:127.0.0.1]/a.png', 'http://[::ffff:7f00:1]/a.png',
+    'http://[64:ff9b::127.0.0.1]/a.png', 'http://[fec0::1]/a.png', 'not a url',
+  ]) {
+    assert.throws(() => imageUrl(url), { message: 'invalid_image_url' }, url);
+  }
+  assert.equal(imageUrl('https://example.com/a.png').hostname, 'example.com');
+});
+
+test('http fetcher never connects to a loopback server through an IP literal or localhost', async (t) => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { 'content-type': 'image/png' }).end(PNG);
+  });
+  await new Promise((resolve) => server.listen(0, '::', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  const fetcher = createHttpFetcher({ timeoutMs: 2000 });
+  for (const host of ['127.0.0.1', '[::1]', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '[::127.0.0.1]', 'localhost']) {
+    await assert.rejects(fetcher.fetch(`http://${host}:${port}/a.png`), { message: 'invalid_image_url' }, host);
+  }
+
+  setImageFetcher(fetcher);
+  await assert.rejects(loadImage(`http://[::ffff:127.0.0.1]:${port}/a.png`), { message: 'invalid_image_url' });
+  assert.equal(hits, 0);
+});
+
+test('loadImage refuses wrong types, spoofed types and oversized bodies', async () => {
+  setImageFetcher(fakeFetcher({
+    'https://img.test/doc.html': { contentType: 'text/html', body: Buffer.from('<html>') },
+    'https://img.test/fake.png': { contentType: 'image/png', body: Buffer.from('GIF89a not a png') },
+    'https://img.test/big.png': { contentType: 'image/png', body: png(Buffer.alloc(2000)) },
+  }));
+  await assert.rejects(
+    loadImage('https://img.test/doc.html'),
+    { message: 'unsupported_image_type', contentType: 'text/html' }
+  );
+  await assert.rejects(loadImage('https://img.test/fake.png'), { message: 'unsupported_image_type' });
+  await assert.rejects(loadImage('https://img.test/big.png'), { message: 'image_too_large', max: 1024 });
+});
+
+test('thumbnails are kept per original, and a stale copy is served while it refreshes', async () => {
+  const url = 'https://img.test/cola.png';
+  const v1 = png('v1');
+  const v2 = png('v2');
+  const fetcher = fakeFetcher({ [url]: { contentType: 'image/png', body: v1, etag: '"a"' } });
+  setImageFetcher(fetcher);
+  setImageResizer({ async resize(buffer, { width }) { return Buffer.concat([buffer, Buffer.from(`@${width}`)]); } });
+
+  const first = await loadImage(url, { width: 100 });
+  assert.equal(first.width, 128);
+  assert.equal(first.etag, `"${sha1(v1)}-w128"`);
+  assert.deepEqual(first.body, Buffer.concat([v1, Buffer.from('@128')]));
+  assert.equal((await loadImage(url)).stale, false);
+  assert.equal(fetcher.calls.get(url), 1);
+
+  // Age the copy past IMAGE_TTL_HOURS and change what the server has
+  const metaFile = path.join(dirOf(url), 'meta.json');
+  const meta = JSON.parse(await fs.readFile(metaFile, 'utf8'));
+  await fs.writeFile(metaFile, JSON.stringify({ ...meta, fetchedAt: new Date(0).toISOString() }));
+  fetcher.fetch = async () => ({ status: 200, contentType: 'image/png', body: v2, etag: '"b"' });
+
+  const stale = await loadImage(url);
+  assert.equal(stale.stale, true);
+  assert.deepEqual(stale.body, v1);
+  await until(async () => JSON.parse(await fs.readFile(metaFile, 'utf8')).hash === sha1(v2));
+
+  const fresh = await loadImage(url, { width: 128 });
+  assert.equal(fresh.stale, false);
+  assert.equal(fresh.etag, `"${sha1(v2)}-w128"`);
+  assert.deepEqual(fresh.body, Buffer.concat([v2, Buffer.from('@128')]));
+
+  // The replaced original and its thumbnail go once nobody can still be reading them
+  const files = await fs.readdir(dirOf(url));
+  assert.ok(files.includes(sha1(v1)) && files.includes(`${sha1(v1)}-w128`));
+  const old = new Date(Date.now() - 60 * 60 * 1000);
+  for (const f of files) await fs.utimes(path.join(dirOf(url), f), old, old);
+  await sweepImageCache();
+  assert.deepEqual((await fs.readdir(dirOf(url))).sort(), [sha1(v2), `${sha1(v2)}-w128`, 'meta.json'].sort());
+});
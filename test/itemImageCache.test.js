@@ -0,0 +1,48 @@
+// test/itemImageCache.test.js
+// itemImage.js cache size cap: the least recently used URLs are swept first
+// and fetched again on their next use. Own file for its own IMAGE_CACHE_MAX_BYTES.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const CACHE_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'item-image-cache-'));
+process.env.IMAGE_CACHE_DIR = CACHE_DIR;
+process.env.IMAGE_CACHE_MAX_BYTES = '2000';
+const { setImageFetcher, loadImage, sweepImageCache } = await import('../itemImage.js');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+test('sweepImageCache evicts the least recently used URLs until the cache fits', async () => {
+  const calls = [];
+  setImageFetcher({
+    async fetch(url) {
+      calls.push(url);
+      return { status: 200, contentType: 'image/png', body: Buffer.concat([PNG, Buffer.alloc(400, url.length)]) };
+    },
+  });
+  const urls = ['a', 'bb', 'ccc', 'dddd'].map((n) => `https://img.test/${n}.png`);
+  for (const url of urls) await loadImage(url);
+
+  // Each entry is ~600 bytes with its sidecar: 4 don't fit in 2000, 3 do
+  const used = new Map();
+  for (const dir of (await fs.readdir(CACHE_DIR, { recursive: true })).map((d) => path.join(CACHE_DIR, d))) {
+    const meta = await fs.readFile(path.join(dir, 'meta.json'), 'utf8').catch(() => null);
+    if (meta) used.set(JSON.parse(meta).url, dir);
+  }
+  // a used longest ago, d most recently
+  for (const [i, url] of urls.entries()) {
+    const at = new Date(Date.now() - (10 - i) * 60 * 1000);
+    await fs.utimes(used.get(url), at, at);
+  }
+
+  const result = await sweepImageCache();
+  assert.equal(result.removedEntries, 1);
+  assert.ok(result.bytes <= 2000);
+  await assert.rejects(fs.stat(used.get(urls[0])), { code: 'ENOENT' });
+  for (const url of urls.slice(1)) await fs.stat(used.get(url));
+
+  await loadImage(urls[0]);
+  assert.equal(calls.filter((u) => u === urls[0]).length, 2);
+});
@@ -0,0 +1,80 @@
+// test/itemImport.test.js
+// itemImport.js: CSV parsing, column mapping and duplicate keys (pure), then
+// buildImport against a stubbed pool standing in for the catalog.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pool } from '../db.js';
+import { parseCsv, mapColumns, duplicateKey, buildImport } from '../itemImport.js';
+
+test('parseCsv: quoting, line endings, BOM and the sniffed delimiter', () => {
+  assert.deepEqual(
+    parseCsv('\uFEFFname,brand\r\n"Cola, Zero","Say ""hi"""\r\n\r\nMilk,"multi\nline"\n'),
+    [['name', 'brand'], ['Cola, Zero', 'Say "hi"'], ['Milk', 'multi\nline']]
+  );
+  assert.deepEqual(parseCsv('name;qty\nCola;1,5l'), [['name', 'qty'], ['Cola', '1,5l']]);
+  assert.deepEqual(parseCsv('name\tqty\nCola\t330ml'), [['name', 'qty'], ['Cola', '330ml']]);
+  assert.deepEqual(parseCsv('a,b\n1,2', ';'), [['a,b'], ['1,2']]);
+  assert.throws(() => parseCsv('name\n"open\n\nstill open'), { message: 'invalid_csv', line: 2 });
+});
+
+test('mapColumns: aliases, explicit mapping and errors', () => {
+  assert.deepEqual(mapColumns(['Product Name', 'Size', 'EAN', 'Notes']), {
+    columns: { name: 0, quantity: 1, barcodes: 2 },
+    mapping: { name: 'Product Name', quantity: 'Size', barcodes: 'EAN' },
+    ignored: ['Notes'],
+  });
+  // An explicit mapping wins, and '' leaves a field unmapped
+  const m = mapColumns(['Item', 'Description', 'Qty'], { name: 'Description', quantity: 'qty', id: '' });
+  assert.deepEqual(m.columns, { name: 1, quantity: 2 });
+  assert.deepEqual(m.ignored, ['Item']);
+  assert.throws(() => mapColumns(['a'], { price: 'a' }), { message: 'invalid_mapping', field: 'price' });
+  assert.throws(() => mapColumns(['a'], { name: 'b' }), { message: 'column_not_found', field: 'name', header: 'b' });
+});
+
+test('duplicateKey: punctuation, case and equivalent quantities agree', () => {
+  const key = duplicateKey({ name: 'Coca-Cola Zero', brand: 'Coca-Cola', quantity: '500ml' });
+  assert.equal(duplicateKey({ name: 'coca cola  zero', brand: 'COCA COLA', quantity: '0.5 L' }), key);
+  assert.notEqual(duplicateKey({ name: 'Coca-Cola Zero', brand: 'Coca-Cola', quantity: '330ml' }), key);
+  assert.equal(
+    duplicateKey({ name: 'Milk', brand: null, quantity: '1 pint' }),
+    duplicateKey({ name: 'milk', brand: '', quantity: '568ml' })
+  );
+});
+
+test('buildImport: catalog duplicates by normalized name, in-file clashes and row checks', async (t) => {
+  const catalog = [
+    { id: 'c1', name: 'Coca-Cola', brand: 'Coke', quantity: '500ml' },
+    { id: 'c2', name: 'Fanta', brand: 'Coke', quantity: '1L' },
+  ];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    if (/FROM item\s+WHERE deletedAt IS NULL AND id > \?/.test(sql)) {
+      return [catalog.filter((it) => it.id > params[0]).slice(0, params[1])];
+    }
+    if (/SELECT id FROM item WHERE id IN/.test(sql)) return [params[0].includes('c2') ? [{ id: 'c2' }] : []];
+    return [[]];
+  });
+
+  let n = 0;
+  const csv = [
+    'id,name,brand,quantity,barcodes',
+    ',Coca Cola,Coke,0.5 L,',
+    ',Sprite,Coke,330ml,5000112637922',
+    ',sprite!,COKE,33cl,',
+    'c2,Water,,1L,',
+    `${'x'.repeat(65)},Juice,,1L,`,
+    `,${'n'.repeat(256)},,1L,`,
+    ',Tea,,,12345',
+  ].join('\n');
+  const { report, rows } = await buildImport(csv, { newId: () => `new${++n}` });
+
+  const byRow = new Map(report.rows.map((r) => [r.row, r]));
+  assert.deepEqual(byRow.get(2).duplicateOf, { itemID: 'c1' });
+  assert.equal(byRow.get(3).status, 'ok');
+  assert.deepEqual(byRow.get(4).duplicateOf, { row: 3 });
+  assert.deepEqual(byRow.get(5).errors, [{ field: 'id', error: 'duplicate_id' }]);
+  assert.deepEqual(byRow.get(6).errors, [{ field: 'id', error: 'id_too_long', max: 64 }]);
+  assert.deepEqual(byRow.get(7).errors, [{ field: 'name', error: 'name_too_long', max: 255 }]);
+  assert.deepEqual(byRow.get(8).errors.map((e) => e.error), ['quantity_required', 'invalid_barcode']);
+  assert.deepEqual(report.totals, { rows: 7, ok: 1, duplicates: 2, errors: 4 });
+  assert.deepEqual(rows.find((r) => r.row === 3).item.gtins, ['05000112637922']);
+});
@@ -0,0 +1,42 @@
+// test/quantity.test.js
+// quantity.js parsing and comparison. Pure functions, no DB.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuantity, sameQty, qtyCloseness } from '../quantity.js';
+
+test('parseQuantity: single amounts in base units', () => {
+  assert.deepEqual(parseQuantity('500ml'), { value: 500, unit: 'ml', count: 1, each: { value: 500, unit: 'ml' } });
+  assert.deepEqual(parseQuantity('1,5 L'), { value: 1500, unit: 'ml', count: 1, each: { value: 1500, unit: 'ml' } });
+  assert.deepEqual(parseQuantity('1,000g'), { value: 1000, unit: 'g', count: 1, each: { value: 1000, unit: 'g' } });
+  assert.equal(parseQuantity('1 pint').value, 568.261);
+  assert.equal(parseQuantity('2 fl. oz').value, 56.826);
+  assert.deepEqual([parseQuantity('2 oz').value, parseQuantity('2 oz').unit], [56.699, 'g']);
+  assert.deepEqual([parseQuantity('12 eggs').value, parseQuantity('12 eggs').unit], [12, 'pcs']);
+});
+
+test('parseQuantity: multipacks, ranges and decorations', () => {
+  assert.deepEqual(parseQuantity('6x330ml'), { value: 1980, unit: 'ml', count: 6, each: { value: 330, unit: 'ml' } });
+  assert.deepEqual(parseQuantity('330ml × 6'), parseQuantity('6 x 330ml'));
+  assert.deepEqual(parseQuantity('400-450g'), {
+    value: 425, unit: 'g', count: 1, each: null, min: 400, max: 450,
+  });
+  assert.equal(parseQuantity('2.27L (4 pints)').value, 2270);
+  assert.deepEqual(parseQuantity('Pack of 6'), { value: 6, unit: 'pack', count: 1, each: { value: 6, unit: 'pack' } });
+});
+
+test('parseQuantity: nothing recognizable -> null', () => {
+  for (const raw of [null, '', 'large', '500', 'mlg', '5 miles']) assert.equal(parseQuantity(raw), null, String(raw));
+});
+
+test('sameQty / qtyCloseness', () => {
+  assert.equal(sameQty('500ml', '0.5L'), true);
+  assert.equal(sameQty('1 pint', '568ml'), true);
+  assert.equal(sameQty('4x250ml', '2x500ml'), false);
+  assert.equal(sameQty('420g', '400-450g'), true);
+  assert.equal(sameQty('500ml', '500g'), false);
+  assert.equal(sameQty(null, '500g'), true);
+  assert.equal(qtyCloseness('500ml', '0.5l'), 1);
+  assert.equal(qtyCloseness('330ml', '500ml'), 0.33);
+  assert.equal(qtyCloseness('330ml', '500g'), 0);
+  assert.equal(qtyCloseness('big', '500g'), null);
+});
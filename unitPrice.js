@@ -0,0 +1,131 @@
+// unitPrice.js (ESM)
+// Unit prices derived from an item's quantity, so a 500g and a 1kg pack
+// compare directly: per 100g, per 100ml, or per unit for pcs / packs.
+// Opt-in on listings with ?unitPrice=1; ?sort=unitPrice orders by it.
+import { pool } from './db.js';
+import { toCanon } from './quantity.js';
+
+// Most rows an in-memory unit price sort will pull before paging; a filtered
+// set larger than this is refused (unitPriceSortTooBroad) rather than cut short
+export const UNIT_PRICE_SORT_MAX = Number(process.env.UNIT_PRICE_SORT_MAX || 5000);
+
+const PER_ORDER = ['100g', '100ml', 'unit'];
+
+const round4 = (v) => Math.round(v * 10000) / 10000;
+
+/** Quantity (string or { value, unit }) -> { per, divisor } or null */
+export function unitBasis(quantity) {
+  const q = toCanon(quantity);
+  if (!q || !(q.value > 0)) return null;
+  if (q.unit === 'g') return { per: '100g', divisor: q.value / 100 };
+  if (q.unit === 'ml') return { per: '100ml', divisor: q.value / 100 };
+  return { per: 'unit', divisor: q.value }; // pcs / pack
+}
+
+/**
+ * Prices for one pack -> { per, normal, discount, best } or null when the
+ * quantity can't be parsed. `best` is the lower of the two that are set.
+ *   unitPrices({ normalPrice: 2.5, discountPrice: 2 }, '6x330ml')
+ *     -> { per: '100ml', normal: 0.1263, discount: 0.101, best: 0.101 }
+ */
+export function unitPrices({ normalPrice = null, discountPrice = null }, quantity) {
+  const basis = unitBasis(quantity);
+  if (!basis) return null;
+  const per = (p) => (p == null || !Number.isFinite(Number(p)) ? null : round4(Number(p) / basis.divisor));
+  const normal = per(normalPrice);
+  const discount = per(discountPrice);
+  const set = [normal, discount].filter((v) => v != null);
+  return { per: basis.per, normal, discount, best: set.length ? Math.min(...set) : null };
+}
+
+/**
+ * Sort comparator on `row.unitPrice`: cheapest first within the same basis
+ * (per 100g, then per 100ml, then per unit), rows without one last.
+ */
+export function compareUnitPrice(a, b) {
+  const x = a.unitPrice?.best ?? null;
+  const y = b.unitPrice?.best ?? null;
+  if (x == null || y == null) return (x == null) - (y == null);
+  return PER_ORDER.indexOf(a.unitPrice.per) - PER_ORDER.indexOf(b.unitPrice.per) || x - y;
+}
+
+/** itemID -> quantity string for a set of items (deleted ones included) */
+export async function quantitiesFor(itemIDs) {
+  const ids = [...new Set(itemIDs.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const [rows] = await pool.query('SELECT id, quantity FROM item WHERE id IN (?)', [ids]);
+  return new Map(rows.map((r) => [String(r.id), r.quantity == null ? null : String(r.quantity)]));
+}
+
+/** itemID -> most recent prices row { normalPrice, discountPrice, shopID, date } */
+export async function latestPricesFor(itemIDs) {
+  const ids = [...new Set(itemIDs.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  // One row per item, picked by the server (MySQL 8 window function)
+  const [rows] = await pool.query(
+    `SELECT itemID, shopID, date, normalPrice, discountPrice
+       FROM (
+         SELECT itemID, shopID, date, normalPrice, discountPrice,
+                ROW_NUMBER() OVER (PARTITION BY itemID ORDER BY date DESC, id DESC) AS rn
+           FROM prices
+          WHERE itemID IN (?)
+       ) latest
+      WHERE rn = 1`,
+    [ids]
+  );
+  return new Map(rows.map((r) => [String(r.itemID), {
+    normalPrice: r.normalPrice == null ? null : Number(r.normalPrice),
+    discountPrice: r.discountPrice == null ? null : Number(r.discountPrice),
+    shopID: String(r.shopID ?? ''),
+    date: String(r.date ?? ''),
+  }]));
+}
+
+/** prices rows ({ itemID, normalPrice, discountPrice }) -> same rows with `unitPrice` */
+export async function withPriceUnitPrices(rows) {
+  const qty = await quantitiesFor(rows.map((r) => r.itemID));
+  return rows.map((r) => ({ ...r, unitPrice: unitPrices(r, qty.get(String(r.itemID))) }));
+}
+
+/**
+ * itemInput rows ({ itemID, quantity, priceValue }) -> same rows with `unitPrice`.
+ * The quantity typed with the row wins; the catalog item's is the fallback.
+ */
+export async function withInputUnitPrices(rows) {
+  const qty = await quantitiesFor(rows.filter((r) => !unitBasis(r.quantity)).map((r) => r.itemID));
+  return rows.map((r) => ({
+    ...r,
+    unitPrice: unitPrices(
+      { normalPrice: r.priceValue },
+      unitBasis(r.quantity) ? r.quantity : qty.get(String(r.itemID))
+    ),
+  }));
+}
+
+/**
+ * Catalog items -> same items with `latestPrice` (most recent prices row) and
+ * `unitPrice` from it.
+ */
+export async function withItemUnitPrices(items) {
+  const latest = await latestPricesFor(items.map((it) => it.id));
+  return items.map((it) => {
+    const p = latest.get(it.id) ?? null;
+    return { ...it, latestPrice: p, unitPrice: p ? unitPrices(p, it.quantity) : null };
+  });
+}
+
+/**
+ * Rows fetched with LIMIT UNIT_PRICE_SORT_MAX + 1 -> true when the filtered
+ * set didn't fit, so a sort over them would leave rows out
+ */
+export const unitPriceSortTooBroad = (rows) => rows.length > UNIT_PRICE_SORT_MAX;
+
+/**
+ * ?unitPrice=1&sort=unitPrice -> { include, sort } where sort is 'unitPrice'
+ * or null (the listing's own order). Unknown sort -> Error('invalid_sort').
+ */
+export function unitPriceOptions(query) {
+  const sort = query.sort == null || query.sort === '' ? null : String(query.sort);
+  if (sort != null && sort !== 'unitPrice') throw new Error('invalid_sort');
+  return { include: String(query.unitPrice ?? '') === '1' || sort === 'unitPrice', sort };
+}